@@ -0,0 +1,67 @@
+// Compares one run over a whole port range with one run per port (the pre-batch behaviour).
+// Usage: npm run build && node benchmark/batch.js [start=47000] [count=200] [holders=4] [backend=auto]
+const { spawn } = require('child_process');
+const runPortClient = require('../dist/index.js');
+
+const [start = 47000, count = 200, holders = 4] = process.argv.slice(2, 5).map(Number);
+const backend = process.argv[5] || 'auto';
+const ports = Array.from({ length: count }, (_, index) => start + index);
+const options = { reporter: false, yes: true, history: false, backend };
+
+const HOLDER = `
+  const net = require('net');
+  const [start, count] = process.argv.slice(1).map(Number);
+  let listening = 0;
+  for (let port = start; port < start + count; port++) {
+    net.createServer().listen(port, '127.0.0.1', () => ++listening === count && console.log('ready'));
+  }
+`;
+
+function startHolders() {
+  const size = Math.ceil(count / holders);
+  return Promise.all(Array.from({ length: holders }, (_, index) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', HOLDER, String(start + index * size), String(Math.min(size, count - index * size))]);
+    child.stdout.once('data', () => resolve(child));
+    child.once('error', reject);
+  })));
+}
+
+async function time(label, fn) {
+  const started = process.hrtime.bigint();
+  const results = await fn();
+  const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+  const ok = results.filter((result) => result.success).length;
+  console.log(`${label.padEnd(28)} ${elapsed.toFixed(0).padStart(7)}ms  (${ok}/${results.length} ok)`);
+  return elapsed;
+}
+
+async function perPort(action) {
+  const results = [];
+  for (const port of ports) {
+    results.push(...await runPortClient(port, { ...options, action }));
+  }
+  return results;
+}
+
+async function main() {
+  console.log(`${count} ports (${start}-${start + count - 1}) held by ${holders} processes, ${process.platform}, ${backend} backend\n`);
+
+  let children = await startHolders();
+  const checkPerPort = await time('check, one run per port', () => perPort('check'));
+  const checkBatch = await time('check, one run', () => runPortClient(ports, { ...options, action: 'check' }));
+
+  const killPerPort = await time('kill, one run per port', () => perPort('kill'));
+  children.forEach((child) => child.kill());
+
+  children = await startHolders();
+  const killBatch = await time('kill, one run', () => runPortClient(ports, { ...options, action: 'kill' }));
+  children.forEach((child) => child.kill());
+
+  console.log('\nPer-port kills report "No process running" once an earlier kill took the shared holder down.');
+  console.log(`speedup: check ${(checkPerPort / checkBatch).toFixed(1)}x, kill ${(killPerPort / killBatch).toFixed(1)}x`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -5,101 +5,453 @@
  * Module dependencies.
  */
 const portUtil = require('./dist/index.js');
+const {
+  parseDuration,
+  parsePortSpec,
+  loadConfig,
+  createReporter,
+  printResults,
+  printHistory,
+  getExitCode,
+  OUTPUT_FORMATS,
+  EXIT_CODES
+} = portUtil;
 const getThemArgs = require('get-them-args');
+const os = require('os');
+
+/**
+ * Everything after `--` is the command for `run`. get-them-args mangles it (`--` becomes a
+ * `-` flag and the command's own flags are parsed as ours), so it is split off first.
+ */
+const argv = process.argv.slice(2);
+const separator = argv.indexOf('--');
+
+/**
+ * Command started by `run`, e.g. `['npm', 'run', 'dev']`.
+ * @type {Array<string>}
+ */
+const commandLine = separator === -1 ? [] : argv.slice(separator + 1);
 
 /**
  * Parse command-line arguments.
  */
-const args = getThemArgs(process.argv.slice(2));
+const args = getThemArgs(separator === -1 ? argv : argv.slice(0, separator));
+
+/**
+ * Suppress all output; only the exit code reports the outcome.
+ * @type {boolean}
+ */
+const quiet = args.quiet || false;
+
+/**
+ * Print an error and exit with the code reserved for invalid input.
+ * @param {string} message - The error message.
+ */
+function exitWithInvalidInput(message) {
+  quiet || console.error(message);
+  process.exit(EXIT_CODES.invalidInput);
+}
+
+/**
+ * Named profile from the project config (e.g. `--profile dev`).
+ * @type {string|null}
+ */
+const profile = args.profile || null;
+
+/**
+ * Project defaults from .portclientrc, .portclientrc.json or package.json "portClient",
+ * with the selected profile applied. Command-line flags always take precedence.
+ * @type {Object}
+ */
+const config = (() => {
+  try {
+    return loadConfig({ profile, file: args.config || null });
+  } catch (error) {
+    return exitWithInvalidInput(error.message);
+  }
+})();
+
+/**
+ * Output format: 'plain', 'json', 'ndjson' or 'table'.
+ * @type {string}
+ */
+const output = args.output || config.output || 'plain';
+
+/**
+ * Parse a duration flag such as `10s`, exiting on malformed values.
+ * @param {string|number|undefined} value - The raw flag value.
+ * @param {number|boolean} fallback - Value used when the flag is missing.
+ * @returns {number|boolean} The duration in milliseconds.
+ */
+function duration(value, fallback) {
+  try {
+    return value ? parseDuration(value) : fallback;
+  } catch (error) {
+    return exitWithInvalidInput(error.message);
+  }
+}
+
+if (!OUTPUT_FORMATS.includes(output)) {
+  exitWithInvalidInput(`Unknown output format: ${output} (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+}
 
 /** 
  * Verbose mode for logging. 
  * @type {boolean}
  */
-const verbose = args.verbose || false;
+const verbose = args.verbose ?? config.verbose ?? false;
+
+/**
+ * Subcommand given as the first positional argument (e.g. `port-client wait 3000`).
+ * @type {string|null}
+ */
+const command = ['wait', 'free', 'probe', 'run', 'history'].includes(args.unknown[0]) ? args.unknown.shift() : null;
 
 /** 
- * Ports to process, extracted from arguments. 
- * @type {Array<string>|string}
+ * Port spec from `--port` and the positional arguments, e.g. `3000,3005-3010,!3007,postgres`.
+ * @type {Array<string|number>}
  */
-let port = args.port ? args.port.toString().split(',') : args.unknown;
+let port = [].concat(args.port ?? [], args.unknown);
 
 /** 
- * Method to use for processing (e.g., 'tcp'). 
- * @type {string}
+ * Method to use for processing (e.g., 'tcp'). Defaults to tcp, or to both protocols with `--pid` and `--name`.
+ * @type {string|undefined}
  */
-const method = args.method || 'tcp';
+const method = args.method || config.method;
 
 /** 
  * Speed mode: 'fast' or 'safe'. 
  * @type {string}
  */
-const speed = args.speed || args.fast ? 'fast' : 'safe';
+const speed = args.fast ? 'fast' : args.speed || config.speed || 'safe';
 
 /** 
  * Interactive mode toggle. 
  * @type {boolean}
  */
-const interactive = args.interactive || false;
+const interactive = args.interactive ?? config.interactive ?? false;
 
 /** 
  * Dry-run mode toggle. 
  * @type {boolean}
  */
-const dryRun = args.dryRun || false;
+const dryRun = args.dryRun ?? args['dry-run'] ?? config.dryRun ?? false;
 
 /** 
  * Graceful handling toggle. 
  * @type {boolean}
  */
-const graceful = args.graceful || false;
+const graceful = args.graceful ?? config.graceful ?? false;
 
 /** 
- * Filter criteria for processing ports. 
+ * Filter criteria for processing ports, e.g. `name=node AND state=LISTEN`.
  * @type {string}
  */
-const filter = args.filter || '';
+const filter = args.filter || config.filter || '';
 
 /** 
  * Range of ports for processing, if applicable. 
  * @type {string|null}
  */
-const range = args.filter || null;
+const range = args.range || config.range || null;
+
+/**
+ * Show owning process details for active ports.
+ * @type {boolean}
+ */
+const details = args.details ?? config.details ?? false;
 
 /** 
  * Action to perform: 'kill' or other specified action. 
  * @type {string}
  */
-const action = args.kill ? 'kill' : args.action || 'check';
+const action = command || (args.kill ? 'kill' : args.watch ? 'watch' : args.action || config.action || 'check');
 
-/** 
- * Ensure port is an array for consistent processing.
+// json and table print once the run is done, which a watch never is.
+if (action === 'watch' && (output === 'json' || output === 'table')) {
+  exitWithInvalidInput(`--watch cannot be combined with --output ${output} (use --output ndjson for one event per line)`);
+}
+
+/**
+ * Signal sent first when killing (e.g. SIGINT, SIGTERM, SIGHUP).
+ * @type {string|null}
+ */
+const signal = args.signal || config.signal || null;
+
+/**
+ * How long to wait for a port: before escalating to SIGKILL, or before `wait` gives up.
+ * Accepts milliseconds or a duration such as `10s`.
+ * @type {number}
+ */
+const timeout = duration(args.timeout, config.timeout ?? 5000);
+
+/**
+ * Kill the whole child process tree of every process holding the port.
+ * @type {boolean}
+ */
+const tree = args.tree ?? config.tree ?? false;
+
+/**
+ * Extra process names or PIDs that must never be killed.
+ * @type {Array<string>}
+ */
+const protect = args.protect ? args.protect.toString().split(',') : config.protect || [];
+
+/**
+ * Built-in protected process names that may be killed anyway (e.g. postgres).
+ * @type {Array<string>}
+ */
+const allow = args.allow ? args.allow.toString().split(',') : config.allow || [];
+
+/**
+ * Allow killing processes owned by other users.
+ * @type {boolean}
+ */
+const forceOtherUsers = args['force-other-users'] || args.forceOtherUsers || false;
+
+/**
+ * Allow killing processes whose name and owner could not be determined.
+ * @type {boolean}
+ */
+const force = args.force || false;
+
+/**
+ * Skip the confirmation prompt shown before killing when a TTY is present.
+ * @type {boolean}
+ */
+const yes = args.yes || args.y || false;
+
+/**
+ * Polling interval for watch and wait modes, in milliseconds or as a duration.
+ * @type {number}
+ */
+const interval = duration(args.interval, config.interval ?? (command === 'wait' ? 250 : 1000));
+
+/**
+ * Wait until the port is free instead of bound.
+ * @type {boolean}
+ */
+const free = args.free || false;
+
+/**
+ * Bind address to match (e.g. 127.0.0.1 or ::1); `wait` connects to this host instead.
+ * For `probe`, a comma-separated list of hosts to check every bare port on.
+ * @type {string|null}
+ */
+const host = args.host || args.hosts || args.address || config.host || null;
+
+/**
+ * IP family to match: 4 or 6 (`--ipv4` / `--ipv6` are shortcuts).
+ * @type {number|null}
+ */
+const family = args.ipv4 ? 4 : args.ipv6 ? 6 : (args.family || config.family ? Number(args.family || config.family) : null);
+
+if (family !== null && family !== 4 && family !== 6) {
+  exitWithInvalidInput(`Invalid IP family: ${args.family || config.family} (expected 4 or 6)`);
+}
+
+/**
+ * Socket discovery backend: 'auto' (default), 'proc', 'ss', 'lsof' or 'netstat'.
+ * @type {string}
+ */
+const backend = args.backend || config.backend || 'auto';
+
+/**
+ * Recognise ports published by Docker and stop the container instead of killing docker-proxy.
+ * Disable with `--no-docker`.
+ * @type {boolean}
+ */
+const docker = args.docker ?? config.docker ?? true;
+
+/**
+ * Maximum number of targets probed, or process groups killed, at once.
+ * @type {number}
+ */
+const concurrency = args.concurrency ?? config.concurrency ?? 10;
+
+/**
+ * Complete a TLS handshake when probing; the certificate must be trusted unless `--insecure`.
+ * @type {boolean}
+ */
+const tls = args.tls ?? config.tls ?? false;
+
+/**
+ * Path requested over HTTP(S) after connecting, e.g. `/health`; 4xx and 5xx count as failures.
+ * @type {string|null}
+ */
+const httpPath = args.http === true ? '/' : args.http || args.httpPath || config.httpPath || null;
+
+/**
+ * Accept untrusted TLS certificates when probing.
+ * @type {boolean}
+ */
+const insecure = args.insecure ?? config.insecure ?? false;
+
+/**
+ * Ports to keep free in watch mode: `true` reserves every watched port.
+ * @type {boolean|Array<number>}
+ */
+const reserved = args.reserved === true || !args.reserved
+  ? Boolean(args.reserved)
+  : args.reserved.toString().split(',').map(Number);
+
+/**
+ * Log file for kills, or `false` (`--no-history`) to not record them.
+ * @type {boolean|string}
+ */
+const history = args.history ?? config.history ?? true;
+
+/**
+ * Only show history entries newer than this, e.g. `1h` or `2024-05-01`.
+ * @type {string|null}
+ */
+const since = args.since || null;
+
+/**
+ * Look up the ports held by these PIDs instead of taking ports, e.g. `--pid 1234,5678`.
+ * @type {string|number|null}
+ */
+const pid = args.pid ?? null;
+
+/**
+ * Look up the ports held by processes with this name, e.g. `--name node,java`.
+ * @type {string|null}
+ */
+const name = args.name ?? null;
+
+/**
+ * Fall back to the ports of the project config when none are given (`history`, `--pid` and `--name` cover every port).
+ */
+if (!port.length && config.ports && command !== 'history' && pid === null && name === null) {
+  port = [].concat(config.ports);
+}
+
+/**
+ * Ports the `free` command must never return.
+ * @type {Array<number>}
  */
-if (!Array.isArray(port)) {
-  port = [port];
+const exclude = args.exclude ? args.exclude.toString().split(',').map(Number) : [];
+
+/**
+ * Lease the port found by `free` so parallel runs skip it; a bare `--lease` holds it for 60s.
+ * @type {number|boolean}
+ */
+const lease = args.lease === true ? 60000 : duration(args.lease, false);
+
+/**
+ * Run the `free` command: print the first port in the range that can actually be bound.
+ * @returns {Promise<void>}
+ */
+function runFree() {
+  return portUtil.findFreePort({ range: range || undefined, exclude, host, protocol: method, lease })
+    .then((found) => {
+      if (quiet) return;
+      console.log(output === 'plain' || output === 'table' ? found : JSON.stringify({ port: found }));
+    });
 }
 
 /**
- * Process each port using portUtil with the specified options.
- */
-Promise.all(
-  port.map((current) => {
-    return portUtil(current, {
-      method,
-      speed,
-      action,
-      interactive,
-      dryRun,
-      verbose,
-      graceful,
-      filter,
-      range
-    })
-      .then((result) => {
-        verbose && console.log(`Process on port ${action} ${current}`);
-      })
-      .catch((error) => {
-        verbose && console.log(`Could not process on port ${current}. ${error.message}.`);
-      });
-  })
-);
+ * Process every port of the spec using portUtil with the specified options.
+ * @returns {Promise<void>}
+ */
+function runPorts() {
+  const reporter = quiet ? false : createReporter(output);
+
+  // The whole spec goes in one run so exclusions like `!3007` apply across arguments.
+  return portUtil(port.length ? port : null, {
+    method,
+    speed,
+    action,
+    interactive,
+    dryRun,
+    verbose,
+    graceful,
+    filter,
+    range,
+    details,
+    interval,
+    reserved,
+    signal,
+    timeout,
+    tree,
+    free,
+    host,
+    family,
+    protect,
+    allow,
+    forceOtherUsers,
+    force,
+    yes,
+    backend,
+    docker,
+    concurrency,
+    tls,
+    httpPath,
+    insecure,
+    history,
+    pid,
+    name,
+    reporter,
+    config: false
+  }).then((results) => {
+    verbose && console.log(`Process on port ${action} ${results.map((result) => result.port).join(', ')}`);
+    if (!quiet) printResults(results, output);
+    process.exitCode = getExitCode(results, action);
+  });
+}
+
+/**
+ * Run the `run` command: free the port, start the command and clean up after it exits.
+ * The exit code is the command's own (128 + signal number when it was killed by a signal).
+ * @returns {Promise<void>}
+ */
+function runCommandOnPort() {
+  if (!commandLine.length) {
+    exitWithInvalidInput('Usage: port-client run --port <port> [--graceful] -- <command> [args...]');
+  }
+
+  return portUtil.runWithPort(port, commandLine, {
+    method,
+    speed,
+    verbose,
+    graceful,
+    filter,
+    signal,
+    timeout,
+    tree,
+    host,
+    family,
+    protect,
+    allow,
+    forceOtherUsers,
+    force,
+    yes,
+    backend,
+    docker,
+    history,
+    reporter: quiet ? false : createReporter(output),
+    config: false
+  }).then((result) => {
+    process.exitCode = result.signal ? 128 + (os.constants.signals[result.signal] || 0) : result.code;
+  });
+}
+
+/**
+ * Run the `history` command: print the recorded kills, optionally only for some ports or a recent period.
+ * @returns {Promise<void>}
+ */
+async function runHistory() {
+  const entries = portUtil.readHistory({
+    ports: port.length ? parsePortSpec(port, { protocol: method }) : [],
+    since,
+    file: typeof history === 'string' ? history : undefined
+  });
+  if (!quiet) printHistory(entries, output);
+}
+
+({ free: runFree, run: runCommandOnPort, history: runHistory }[command] || runPorts)()
+  .catch((error) => {
+    quiet || console.error(error.message);
+    verbose && console.error(error.stack);
+    process.exitCode = error.name === 'InvalidInputError' ? EXIT_CODES.invalidInput : EXIT_CODES.inUse;
+  });
@@ -0,0 +1,33 @@
+import http from 'http';
+import { checkPort, killPort, waitForPort } from 'port-client';
+
+const PORT = 3000;
+
+function startServer(port) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Hi!');
+  });
+
+  server.listen(port, () => {
+    console.log(`Server is listening on port ${port}`);
+  });
+}
+
+(async function main() {
+  try {
+    const result = await checkPort(PORT);
+    console.log(`Port ${PORT} is ${result.status === 'active' ? 'occupied' : 'available'}`);
+
+    if (result.status === 'active') {
+      console.log(`Attempting to free up port ${PORT}...`);
+      const killed = await killPort(PORT, { graceful: true });
+      if (!killed.success) throw new Error(killed.error);
+    }
+
+    startServer(PORT);
+    await waitForPort(PORT);
+  } catch (error) {
+    console.error(`Error freeing port ${PORT}:`, error);
+  }
+})();
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import path from 'path';
+import { execCommand, findExecutable } from './exec';
+import { SocketInfo } from './types';
+import { addressFamily, getLsofSelector, parseLsofSockets, parseNetstatSockets, splitAddress } from './sockets';
+import { InvalidInputError } from './errors';
+
+export interface SocketQuery {
+  protocol: string;
+  port?: number | null;
+  family?: number | null;
+}
+
+export interface DiscoveryBackend {
+  name: string;
+  isAvailable(platform: string): Promise<boolean>;
+  listSockets(query: SocketQuery, platform: string): Promise<SocketInfo[]>;
+}
+
+export const BACKENDS = ['proc', 'ss', 'lsof', 'netstat'];
+
+const PROC_STATES: { [hex: string]: string } = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECV',
+  '04': 'FIN_WAIT1',
+  '05': 'FIN_WAIT2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSE',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTEN',
+  '0B': 'CLOSING',
+};
+
+const SS_STATES: { [state: string]: string } = {
+  ESTAB: 'ESTABLISHED',
+  'FIN-WAIT-1': 'FIN_WAIT1',
+  'FIN-WAIT-2': 'FIN_WAIT2',
+};
+
+async function run(file: string, args: string[]): Promise<string> {
+  const { stdout, code } = await execCommand(file, args);
+  if (code === 127) {
+    throw new Error(`${file} is not installed`);
+  }
+  return stdout;
+}
+
+async function hasCommand(name: string, platform: string): Promise<boolean> {
+  return findExecutable(name, platform) !== null;
+}
+
+export function decodeProcAddress(hex: string): { address: string; port: number } {
+  const [host, port] = hex.split(':');
+  // Each 32-bit word is stored in host byte order (little-endian on every platform Linux runs on here).
+  const words = host.match(/.{8}/g) || [];
+  const bytes = words.flatMap((word) => (word.match(/../g) || []).reverse().map((byte) => parseInt(byte, 16)));
+
+  if (bytes.length === 4) {
+    return { address: bytes.join('.'), port: parseInt(port, 16) };
+  }
+
+  const groups: string[] = [];
+  for (let i = 0; i < bytes.length; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+
+  if (groups.slice(0, 5).every((group) => group === '0') && groups[5] === 'ffff') {
+    return { address: `::ffff:${bytes.slice(12).join('.')}`, port: parseInt(port, 16) };
+  }
+
+  // Compress the longest run of zero groups so addresses compare equal to `::1` or `::`.
+  let zeros = { start: -1, length: 0 };
+  for (let i = 0; i < groups.length; i++) {
+    let end = i;
+    while (end < groups.length && groups[end] === '0') end++;
+    if (end - i > zeros.length) zeros = { start: i, length: end - i };
+  }
+
+  const address = zeros.length < 2
+    ? groups.join(':')
+    : `${groups.slice(0, zeros.start).join(':')}::${groups.slice(zeros.start + zeros.length).join(':')}`;
+
+  return { address, port: parseInt(port, 16) };
+}
+
+export interface ProcSocket extends SocketInfo {
+  inode: number;
+  uid: number;
+}
+
+export function parseProcNet(content: string, protocol: string, family: 'IPv4' | 'IPv6'): ProcSocket[] {
+  return content.split('\n').slice(1).reduce((acc: ProcSocket[], line: string) => {
+    // sl local_address rem_address st tx_queue:rx_queue tr:tm->when retrnsmt uid timeout inode
+    const columns = line.trim().split(/\s+/);
+    if (columns.length < 10) return acc;
+
+    const local = decodeProcAddress(columns[1]);
+    const remote = decodeProcAddress(columns[2]);
+
+    acc.push({
+      protocol,
+      family,
+      localAddress: local.address,
+      localPort: local.port,
+      remoteAddress: remote.port ? `${remote.address}:${remote.port}` : null,
+      state: protocol === 'tcp' ? (PROC_STATES[columns[3].toUpperCase()] || null) : null,
+      pid: null,
+      command: null,
+      user: null,
+      uid: Number(columns[7]),
+      inode: Number(columns[9]),
+    });
+    return acc;
+  }, []);
+}
+
+export function parsePasswd(content: string): Map<number, string> {
+  return content.split('\n').reduce((users, line) => {
+    const [name, , uid] = line.split(':');
+    if (name && uid) users.set(Number(uid), name);
+    return users;
+  }, new Map<number, string>());
+}
+
+function readFile(file: string): string {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error: any) {
+    return '';
+  }
+}
+
+function mapInodesToPids(inodes: Set<number>, procRoot: string): Map<number, number[]> {
+  const owners = new Map<number, number[]>();
+
+  for (const entry of fs.readdirSync(procRoot)) {
+    if (!/^\d+$/.test(entry)) continue;
+
+    let fds: string[];
+    try {
+      fds = fs.readdirSync(path.join(procRoot, entry, 'fd'));
+    } catch (error: any) {
+      continue; // exited, or owned by another user
+    }
+
+    for (const fd of fds) {
+      let link: string;
+      try {
+        link = fs.readlinkSync(path.join(procRoot, entry, 'fd', fd));
+      } catch (error: any) {
+        continue;
+      }
+
+      const match = link.match(/^socket:\[(\d+)\]$/);
+      if (!match || !inodes.has(Number(match[1]))) continue;
+
+      const pids = owners.get(Number(match[1])) || [];
+      if (!pids.includes(Number(entry))) pids.push(Number(entry));
+      owners.set(Number(match[1]), pids);
+    }
+  }
+
+  return owners;
+}
+
+export function createProcBackend(procRoot: string = '/proc', passwdFile: string = '/etc/passwd'): DiscoveryBackend {
+  return {
+    name: 'proc',
+
+    async isAvailable(platform) {
+      return platform === 'linux' && fs.existsSync(path.join(procRoot, 'net', 'tcp'));
+    },
+
+    async listSockets({ protocol, port = null, family = null }) {
+      if (!fs.existsSync(path.join(procRoot, 'net', protocol))) {
+        throw new Error(`${path.join(procRoot, 'net', protocol)} is not readable`);
+      }
+
+      const tables: [string, 'IPv4' | 'IPv6'][] = [[protocol, 'IPv4'], [`${protocol}6`, 'IPv6']];
+      const sockets = tables
+        .filter(([, tableFamily]) => !family || tableFamily === `IPv${family}`)
+        .flatMap(([file, tableFamily]) => parseProcNet(readFile(path.join(procRoot, 'net', file)), protocol, tableFamily))
+        .filter((socket) => port === null || socket.localPort === port);
+
+      if (!sockets.length) return [];
+
+      const users = parsePasswd(readFile(passwdFile));
+      const owners = mapInodesToPids(new Set(sockets.map((socket) => socket.inode).filter(Boolean)), procRoot);
+
+      return sockets.flatMap(({ inode, uid, ...socket }) => {
+        const user = users.get(uid) || String(uid);
+        const pids = owners.get(inode) || [];
+        if (!pids.length) return [{ ...socket, user }];
+
+        return pids.map((pid) => ({
+          ...socket,
+          pid,
+          user,
+          command: readFile(path.join(procRoot, String(pid), 'comm')).trim() || null,
+        }));
+      });
+    },
+  };
+}
+
+export function parseSsSockets(stdout: string, protocol: string): SocketInfo[] {
+  return stdout.split('\n').reduce((acc: SocketInfo[], line: string) => {
+    // State Recv-Q Send-Q Local:Port Peer:Port [users:(("name",pid=1,fd=3),...)]
+    const columns = line.trim().split(/\s+/);
+    if (columns.length < 5 || !/^\d+$/.test(columns[1])) return acc;
+
+    const [state, , , local, peer] = columns;
+    const localAddress = splitAddress(local);
+    const remote = splitAddress(peer);
+    const processes = (columns.slice(5).join(' ').match(/\("[^"]*",pid=\d+/g) || [])
+      .map((entry) => entry.match(/^\("([^"]*)",pid=(\d+)$/) as RegExpMatchArray);
+    const socket: SocketInfo = {
+      protocol,
+      family: addressFamily(localAddress.address),
+      localAddress: localAddress.address,
+      localPort: localAddress.port,
+      remoteAddress: remote.port ? peer : null,
+      state: protocol === 'tcp' ? (SS_STATES[state] || state.replace(/-/g, '_')) : null,
+      pid: null,
+      command: null,
+      user: null,
+    };
+
+    if (!processes.length) {
+      acc.push(socket);
+    } else {
+      processes.forEach(([, command, pid]) => acc.push({ ...socket, pid: Number(pid), command }));
+    }
+    return acc;
+  }, []);
+}
+
+export const ssBackend: DiscoveryBackend = {
+  name: 'ss',
+
+  async isAvailable(platform) {
+    return platform === 'linux' && hasCommand('ss', platform);
+  },
+
+  async listSockets({ protocol, port = null, family = null }) {
+    const args = ['-H', '-a', '-n', '-p', protocol === 'udp' ? '-u' : '-t'];
+    if (family) args.push(`-${family}`);
+    if (port) args.push(`sport = :${port}`);
+    const stdout = await run('ss', args);
+    return parseSsSockets(stdout, protocol);
+  },
+};
+
+export const lsofBackend: DiscoveryBackend = {
+  name: 'lsof',
+
+  async isAvailable(platform) {
+    return platform !== 'win32' && hasCommand('lsof', platform);
+  },
+
+  async listSockets({ protocol, port = null, family = null }) {
+    const selector = port ? getLsofSelector({ port, protocol, family }) : `${family || ''}${protocol}`;
+    // +c 0 prints full command names instead of the first 9 characters (docker-proxy, not docker-pr).
+    const stdout = await run('lsof', ['-i', selector, '-P', '-n', '+c', '0']);
+    return parseLsofSockets(stdout);
+  },
+};
+
+export const netstatBackend: DiscoveryBackend = {
+  name: 'netstat',
+
+  async isAvailable(platform) {
+    return platform === 'win32' || hasCommand('netstat', platform);
+  },
+
+  async listSockets({ protocol }, platform) {
+    // Only Windows (-o) and Linux (-p) netstat can report the owning PID.
+    const flags = platform === 'win32' ? '-nao' : (platform === 'linux' ? '-nap' : '-na');
+    const stdout = await run('netstat', [flags]);
+    return parseNetstatSockets(stdout).filter((socket) => socket.protocol === protocol);
+  },
+};
+
+export const procBackend = createProcBackend();
+
+const BACKEND_IMPLEMENTATIONS: { [name: string]: DiscoveryBackend } = {
+  proc: procBackend,
+  ss: ssBackend,
+  lsof: lsofBackend,
+  netstat: netstatBackend,
+};
+
+export function getBackendOrder(platform: string): string[] {
+  if (platform === 'win32') return ['netstat'];
+  if (platform === 'linux') return ['proc', 'ss', 'lsof', 'netstat'];
+  return ['lsof', 'netstat'];
+}
+
+export async function resolveBackends(name: string, platform: string = process.platform): Promise<DiscoveryBackend[]> {
+  if (name !== 'auto') {
+    if (!BACKENDS.includes(name)) {
+      throw new InvalidInputError(`Unknown backend: ${name} (expected auto, ${BACKENDS.join(', ')})`);
+    }
+    return [BACKEND_IMPLEMENTATIONS[name]];
+  }
+
+  const candidates = getBackendOrder(platform).map((backend) => BACKEND_IMPLEMENTATIONS[backend]);
+  const available = await Promise.all(candidates.map((backend) => backend.isAvailable(platform).catch(() => false)));
+  return candidates.filter((_, index) => available[index]);
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { InvalidInputError } from './errors';
+import { PortClientOptions, PortSpec } from './types';
+import { parsePortSpec } from './port-spec';
+import { parseDuration } from './utils';
+
+export interface ConfigOptions extends PortClientOptions {
+  ports?: PortSpec;
+}
+
+export interface PortClientConfig extends ConfigOptions {
+  profiles?: { [name: string]: ConfigOptions };
+}
+
+const RC_FILES = ['.portclientrc', '.portclientrc.json'];
+
+function readJson(file: string): any {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error: any) {
+    throw new InvalidInputError(`Invalid config file ${file}: ${(error as Error).message}`);
+  }
+}
+
+export function findConfig(cwd: string = process.cwd()): { path: string; config: PortClientConfig } | null {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    for (const name of RC_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return { path: file, config: readJson(file) };
+    }
+
+    const packageFile = path.join(dir, 'package.json');
+    if (fs.existsSync(packageFile)) {
+      const { portClient } = readJson(packageFile);
+      if (portClient) return { path: packageFile, config: portClient };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function normalizeOptions(options: ConfigOptions): ConfigOptions {
+  const normalized = { ...options };
+  if (normalized.ports !== undefined) normalized.ports = parsePortSpec(normalized.ports, { protocol: normalized.method });
+  if (typeof normalized.timeout === 'string') normalized.timeout = parseDuration(normalized.timeout);
+  if (typeof normalized.interval === 'string') normalized.interval = parseDuration(normalized.interval);
+  return normalized;
+}
+
+export function loadConfig({ cwd = process.cwd(), profile = null, file = null }: { cwd?: string; profile?: string | null; file?: string | null } = {}): ConfigOptions {
+  const found = file ? { path: file, config: readJson(file) } : findConfig(cwd);
+
+  if (!found) {
+    if (profile) throw new InvalidInputError(`Profile "${profile}" not found: no .portclientrc or package.json "portClient" config`);
+    return {};
+  }
+
+  const { profiles = {}, ...defaults } = found.config;
+  if (profile && !profiles[profile]) {
+    const available = Object.keys(profiles).join(', ') || 'none';
+    throw new InvalidInputError(`Profile "${profile}" not found in ${found.path} (available: ${available})`);
+  }
+
+  return normalizeOptions({ ...defaults, ...(profile ? profiles[profile] : {}) });
+}
+
+export function withConfig(options: PortClientOptions): ConfigOptions {
+  if (options.config === false) return options;
+
+  const config = loadConfig({
+    profile: options.profile,
+    file: typeof options.config === 'string' ? options.config : null,
+  });
+
+  // Options passed explicitly as undefined must not hide the project defaults.
+  return Object.keys(options).reduce((merged: ConfigOptions, key) => {
+    const value = options[key as keyof PortClientOptions];
+    return value === undefined ? merged : { ...merged, [key]: value };
+  }, config);
+}
@@ -0,0 +1,95 @@
+import { execCommand } from './exec';
+import { ContainerInfo, KillStep } from './types';
+
+export interface PublishedPort {
+  hostAddress: string | null;
+  hostPort: number;
+  containerPort: number;
+  protocol: string;
+}
+
+export type PublishingContainer = ContainerInfo & { published: PublishedPort[] };
+
+// Processes that only forward a published port on behalf of a container runtime.
+export const CONTAINER_PROXIES = ['docker-proxy', 'rootlesskit', 'slirp4netns', 'com.docker.backend', 'vpnkit', 'gvproxy'];
+
+export function getDockerCommand(): string {
+  return process.env.PORT_CLIENT_DOCKER || 'docker';
+}
+
+export function isContainerProxy(name: string | null): boolean {
+  if (name === null) return false;
+
+  // Linux truncates process names (/proc/<pid>/comm, ss) to 15 characters.
+  const normalized = name.replace(/\.exe$/i, '').toLowerCase();
+  return CONTAINER_PROXIES.some((proxy) => proxy === normalized || (normalized.length === 15 && proxy.startsWith(normalized)));
+}
+
+export function parsePublishedPorts(ports: string): PublishedPort[] {
+  return ports.split(',').reduce((acc: PublishedPort[], entry) => {
+    // 0.0.0.0:8000-8001->80-81/tcp, [::]:8080->80/tcp, :::8080->80/tcp
+    const match = entry.trim().match(/^(?:(.*):)?(\d+)(?:-(\d+))?->(\d+)(?:-\d+)?\/(\w+)$/);
+    if (!match) return acc;
+
+    const [, address = null, start, end = start, containerPort, protocol] = match;
+    for (let port = Number(start); port <= Number(end); port++) {
+      acc.push({
+        hostAddress: address,
+        hostPort: port,
+        containerPort: Number(containerPort) + port - Number(start),
+        protocol,
+      });
+    }
+    return acc;
+  }, []);
+}
+
+export function parseDockerPs(stdout: string): PublishingContainer[] {
+  return stdout.split('\n').reduce((acc: PublishingContainer[], line) => {
+    let entry: any;
+    try {
+      entry = JSON.parse(line);
+    } catch (error: any) {
+      return acc;
+    }
+
+    acc.push({
+      id: entry.ID,
+      name: entry.Names,
+      image: entry.Image,
+      published: parsePublishedPorts(entry.Ports || ''),
+    });
+    return acc;
+  }, []);
+}
+
+export async function listContainers(): Promise<PublishingContainer[]> {
+  const { stdout, code } = await execCommand(getDockerCommand(), ['ps', '--format', '{{json .}}']);
+  return code === 0 ? parseDockerPs(stdout) : [];
+}
+
+export function matchContainers(containers: PublishingContainer[], port: number, protocol: string = 'tcp'): ContainerInfo[] {
+  return containers
+    .filter((container) => container.published.some((published) => published.hostPort === port && published.protocol === protocol))
+    .map(({ id, name, image }) => ({ id, name, image }));
+}
+
+export async function findContainers(port: number, protocol: string = 'tcp'): Promise<ContainerInfo[]> {
+  return matchContainers(await listContainers(), port, protocol);
+}
+
+export async function stopContainers(containers: ContainerInfo[], timeout: number): Promise<KillStep> {
+  const started = Date.now();
+  const args = ['stop', '-t', String(Math.ceil(timeout / 1000)), ...containers.map((container) => container.id)];
+  const { stderr, code } = await execCommand(getDockerCommand(), args);
+
+  return {
+    signal: 'docker stop',
+    pids: [],
+    exited: [],
+    remaining: [],
+    portFreed: false,
+    elapsed: Date.now() - started,
+    error: code === 0 ? null : `docker stop failed: ${stderr.trim() || `exit code ${code}`}`,
+  };
+}
@@ -0,0 +1,18 @@
+import { LeakedListener } from './types';
+
+export class InvalidInputError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InvalidInputError';
+  }
+}
+
+export class LeakedListenerError extends Error {
+  leaks: LeakedListener[];
+
+  constructor(message: string, leaks: LeakedListener[]) {
+    super(message);
+    this.name = 'LeakedListenerError';
+    this.leaks = leaks;
+  }
+}
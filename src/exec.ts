@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+
+export interface CommandResult {
+  stdout: string;
+  stderr: string;
+  code: number;
+}
+
+// Listings of every socket or process easily exceed one pipe read, so output is buffered whole.
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// Arguments go to the program as they are; nothing is ever interpreted by a shell.
+export function execCommand(file: string, args: string[] = []): Promise<CommandResult> {
+  return new Promise((resolve) => {
+    execFile(file, args, { maxBuffer: MAX_BUFFER, windowsHide: true }, (error, stdout, stderr) => {
+      let code = 0;
+      if (error) {
+        const errorCode = (error as NodeJS.ErrnoException).code as unknown;
+        code = typeof errorCode === 'number' ? errorCode : (errorCode === 'ENOENT' ? 127 : 1);
+      }
+      resolve({ stdout, stderr, code });
+    });
+  });
+}
+
+export function getEnv(env: NodeJS.ProcessEnv, name: string, platform: string = process.platform): string | undefined {
+  if (platform !== 'win32') return env[name];
+  // Windows environment variables are case-insensitive (PATH is usually spelled Path).
+  const key = Object.keys(env).find((candidate) => candidate.toUpperCase() === name);
+  return key ? env[key] : undefined;
+}
+
+function isExecutable(file: string, platform: string): boolean {
+  try {
+    fs.accessSync(file, platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch (error: any) {
+    return false;
+  }
+}
+
+// Searches PATH (on Windows the working directory first, as cmd.exe does) trying every PATHEXT extension.
+export function findExecutable(
+  name: string,
+  platform: string = process.platform,
+  env: NodeJS.ProcessEnv = process.env,
+  exists: (file: string) => boolean = (file) => isExecutable(file, platform),
+): string | null {
+  const windows = platform === 'win32';
+  const paths = windows ? path.win32 : path.posix;
+  const extensions = windows ? (getEnv(env, 'PATHEXT', platform) || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean) : [];
+  const names = windows
+    ? [...(paths.extname(name) ? [name] : []), ...extensions.map((extension) => `${name}${extension.toLowerCase()}`)]
+    : [name];
+  const directories = (getEnv(env, 'PATH', platform) || '').split(windows ? ';' : ':')
+    .map((directory) => (windows ? directory.replace(/^"(.*)"$/, '$1') : directory))
+    .filter(Boolean);
+
+  // A name with a directory in it is not searched for.
+  const searched = /[\\/]/.test(name) || (windows && name.includes(':')) ? [''] : [...(windows ? ['.'] : []), ...directories];
+  for (const directory of searched) {
+    const found = names.map((candidate) => (directory ? paths.join(directory, candidate) : candidate)).find((candidate) => exists(candidate));
+    if (found) return found;
+  }
+
+  return null;
+}
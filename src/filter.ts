@@ -0,0 +1,121 @@
+import { FilterTarget } from './types';
+import { InvalidInputError } from './errors';
+
+export type FilterPredicate = (target: FilterTarget) => boolean;
+
+const FIELDS = ['name', 'cmd', 'user', 'pid', 'ppid', 'state', 'cwd', 'protocol'];
+const NUMERIC_FIELDS = ['pid', 'ppid'];
+
+function tokenize(expression: string): string[] {
+  const tokens: string[] = [];
+  const pattern = /\s*(\(|\)|&&|\|\||!(?!=)|,|[a-z]+\s*(?:!=|=|~)\s*(?:\/(?:\\.|[^/])*\/[a-z]*|"[^"]*"|[^\s(),]+)|[^\s(),]+)/giy;
+  let index = 0;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) break;
+
+    tokens.push(match[1]);
+    index = pattern.lastIndex;
+  }
+
+  if (expression.slice(index).trim()) {
+    throw new InvalidInputError(`Invalid filter: unexpected input at "${expression.slice(index).trim()}"`);
+  }
+
+  return tokens;
+}
+
+function expandVariables(value: string): string {
+  return value.replace(/\$(\w+)|\$\{(\w+)\}/g, (_, plain, braced) => process.env[plain || braced] || '');
+}
+
+function toRegExp(value: string): RegExp {
+  const literal = value.match(/^\/(.*)\/([a-z]*)$/);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value, 'i');
+  } catch (error: any) {
+    throw new InvalidInputError(`Invalid filter: ${(error as Error).message}`);
+  }
+}
+
+function compileCondition(token: string): FilterPredicate {
+  const match = token.match(/^([a-z]+)\s*(!=|=|~)\s*(.*)$/i);
+  if (!match) {
+    throw new InvalidInputError(`Invalid filter: expected field=value but got "${token}"`);
+  }
+
+  const [, rawField, operator, rawValue] = match;
+  const field = rawField.toLowerCase();
+  if (!FIELDS.includes(field)) {
+    throw new InvalidInputError(`Invalid filter: unknown field "${rawField}" (expected one of ${FIELDS.join(', ')})`);
+  }
+
+  const value = expandVariables(rawValue.replace(/^"(.*)"$/, '$1'));
+
+  if (operator === '~') {
+    const regex = toRegExp(value);
+    return (target) => target[field as keyof FilterTarget] !== null && regex.test(String(target[field as keyof FilterTarget]));
+  }
+
+  const equals: FilterPredicate = NUMERIC_FIELDS.includes(field)
+    ? (target) => target[field as keyof FilterTarget] === Number(value)
+    : (target) => String(target[field as keyof FilterTarget] ?? '').toLowerCase() === value.toLowerCase();
+
+  return operator === '!=' ? (target) => !equals(target) : equals;
+}
+
+export function compileFilter(expression: string): FilterPredicate {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => (tokens[position] || '').toUpperCase();
+
+  const parseOr = (): FilterPredicate => {
+    const operands = [parseAnd()];
+    while (peek() === 'OR' || peek() === '||') {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : (target) => operands.some((operand) => operand(target));
+  };
+
+  const parseAnd = (): FilterPredicate => {
+    const operands = [parseUnary()];
+    while (position < tokens.length && !['OR', '||', ')'].includes(peek())) {
+      if (['AND', '&&', ','].includes(peek())) position++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : (target) => operands.every((operand) => operand(target));
+  };
+
+  const parseUnary = (): FilterPredicate => {
+    const token = tokens[position++];
+    if (token === undefined) {
+      throw new InvalidInputError('Invalid filter: unexpected end of expression');
+    }
+
+    if (token.toUpperCase() === 'NOT' || token === '!') {
+      const operand = parseUnary();
+      return (target) => !operand(target);
+    }
+
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[position++] !== ')') {
+        throw new InvalidInputError('Invalid filter: missing closing parenthesis');
+      }
+      return inner;
+    }
+
+    return compileCondition(token);
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw new InvalidInputError(`Invalid filter: unexpected "${tokens[position]}"`);
+  }
+
+  return predicate;
+}
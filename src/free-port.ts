@@ -0,0 +1,134 @@
+import fs from 'fs';
+import net from 'net';
+import dgram from 'dgram';
+import path from 'path';
+import { isAlive } from './kill';
+import { getCacheDir } from './utils';
+import { parsePortRange, parseProtocol } from './port-spec';
+
+export { parsePortRange as parseRange } from './port-spec';
+
+export interface FreePortOptions {
+  range?: string | [number, number];
+  exclude?: number[];
+  host?: string | null;
+  protocol?: string;
+  lease?: boolean | number;
+  leaseDir?: string;
+}
+
+interface LeaseRecord {
+  port: number;
+  pid: number | null;
+  createdAt: string;
+  expiresAt: string | null;
+}
+
+const heldLeases = new Set<string>();
+
+export function tryBind(port: number, host: string | null = null, protocol: string = 'tcp'): Promise<boolean> {
+  return new Promise((resolve) => {
+    if (protocol === 'udp') {
+      const socket = dgram.createSocket(host && net.isIPv6(host) ? 'udp6' : 'udp4');
+      socket.once('error', () => {
+        socket.close();
+        resolve(false);
+      });
+      socket.bind({ port, address: host || undefined, exclusive: true }, () => socket.close(() => resolve(true)));
+      return;
+    }
+
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen({ port, host: host || undefined, exclusive: true }, () => server.close(() => resolve(true)));
+  });
+}
+
+export function getLeaseDir(): string {
+  return path.join(getCacheDir(), 'leases');
+}
+
+function readLease(file: string): LeaseRecord | null {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error: any) {
+    return null;
+  }
+}
+
+function isLeaseActive(lease: LeaseRecord | null): boolean {
+  if (!lease) return false;
+  if (lease.expiresAt) return Date.parse(lease.expiresAt) > Date.now();
+  return lease.pid !== null && isAlive(lease.pid);
+}
+
+export function acquireLease(port: number, lease: boolean | number, leaseDir: string = getLeaseDir()): boolean {
+  const file = path.join(leaseDir, `${port}.json`);
+  const record: LeaseRecord = {
+    port,
+    pid: lease === true ? process.pid : null,
+    createdAt: new Date().toISOString(),
+    expiresAt: typeof lease === 'number' ? new Date(Date.now() + lease).toISOString() : null,
+  };
+
+  fs.mkdirSync(leaseDir, { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(record), { flag: 'wx' });
+      if (lease === true) {
+        if (heldLeases.size === 0) process.once('exit', releaseHeldLeases);
+        heldLeases.add(file);
+      }
+      return true;
+    } catch (error: any) {
+      if (error.code !== 'EEXIST' || isLeaseActive(readLease(file))) return false;
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  return false;
+}
+
+export function releasePort(port: number, leaseDir: string = getLeaseDir()): void {
+  const file = path.join(leaseDir, `${port}.json`);
+  fs.rmSync(file, { force: true });
+  heldLeases.delete(file);
+}
+
+export function listLeases(leaseDir: string = getLeaseDir()): LeaseRecord[] {
+  if (!fs.existsSync(leaseDir)) return [];
+
+  return fs.readdirSync(leaseDir)
+    .map((name) => readLease(path.join(leaseDir, name)))
+    .filter((lease): lease is LeaseRecord => isLeaseActive(lease));
+}
+
+function releaseHeldLeases(): void {
+  heldLeases.forEach((file) => fs.rmSync(file, { force: true }));
+  heldLeases.clear();
+}
+
+export async function findFreePort({
+  range = '1024-65535',
+  exclude = [],
+  host = null,
+  protocol = 'tcp',
+  lease = false,
+  leaseDir = getLeaseDir(),
+}: FreePortOptions = {}): Promise<number> {
+  const [start, end] = parsePortRange(range);
+  parseProtocol(protocol);
+
+  for (let port = start; port <= end; port++) {
+    if (exclude.includes(port)) continue;
+    if (lease && isLeaseActive(readLease(path.join(leaseDir, `${port}.json`)))) continue;
+    if (!(await tryBind(port, host, protocol))) continue;
+    if (lease && !acquireLease(port, lease, leaseDir)) continue;
+
+    return port;
+  }
+
+  throw new Error(`No free ${protocol} port found in ${start}-${end}`);
+}
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import { InvalidInputError } from './errors';
+import { parseDuration, getStateDir } from './utils';
+import { HistoryEntry, PortResult } from './types';
+
+export function getHistoryFile(): string {
+  return process.env.PORT_CLIENT_HISTORY || path.join(getStateDir(), 'history.jsonl');
+}
+
+// One entry per targeted process, so `history --port` can say who killed which PID.
+export function createHistoryEntries(result: PortResult, { user, cwd, time = new Date() }: { user: string; cwd: string; time?: Date }): HistoryEntry[] {
+  const entry = (pid: number | null): HistoryEntry => {
+    const info = result.processes.find((candidate) => candidate.pid === pid);
+    return {
+      time: time.toISOString(),
+      user,
+      cwd,
+      port: result.port,
+      protocol: result.protocol,
+      pid,
+      name: info ? info.name : null,
+      command: info ? info.command : null,
+      signal: result.signal,
+      status: result.status,
+      success: result.success,
+      error: result.error,
+    };
+  };
+
+  return result.pids.length ? result.pids.map(entry) : [entry(null)];
+}
+
+export function appendHistory(entries: HistoryEntry[], file: string = getHistoryFile()): void {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // A single append per result keeps lines whole when several port-client runs share the log.
+  fs.appendFileSync(file, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+}
+
+export function parseSince(value: string | number | Date, now: number = Date.now()): number {
+  if (value instanceof Date) return value.getTime();
+
+  try {
+    return now - parseDuration(value);
+  } catch (error: any) {
+    const date = Date.parse(String(value));
+    if (Number.isNaN(date)) {
+      throw new InvalidInputError(`Invalid time: ${value} (expected a duration like 1h or a date)`);
+    }
+    return date;
+  }
+}
+
+export function readHistory({ ports = [], since = null, file = getHistoryFile() }: { ports?: number[]; since?: string | number | Date | null; file?: string } = {}): HistoryEntry[] {
+  const from = since === null ? null : parseSince(since);
+
+  let content: string;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error: any) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries: HistoryEntry[] = [];
+  for (const line of content.split('\n')) {
+    let entry: HistoryEntry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error: any) {
+      // Empty or partially written line.
+      continue;
+    }
+    if (ports.length && !ports.includes(entry.port)) continue;
+    if (from !== null && Date.parse(entry.time) < from) continue;
+    entries.push(entry);
+  }
+  return entries;
+}
@@ -0,0 +1,8 @@
+// ES module entry point. It re-exports the CommonJS build, so `import` and `require` share one
+// instance (leases, watchers and the InvalidInputError class are the same for both).
+import { runPortClient } from './index.js';
+
+export * from './index.js';
+// Importing the CommonJS build's default from ES modules yields its whole module.exports, so the
+// default export is taken from the named one.
+export default runPortClient;
@@ -1,8 +1,36 @@
-import sh from 'shell-exec';
 import readline from 'readline';
+import { once } from 'events';
+import { getProcessInfo, readProcIdentity } from './process-info';
+import { PortWatcher } from './watch';
+import { getProcessList, getProcessTree, normalizeSignal, runKillPipeline } from './kill';
+import { waitForState } from './wait';
+import { compileFilter, FilterPredicate } from './filter';
+import { holdsPort, isListening, matchesSocket, SocketMatch, summarizeConnections } from './sockets';
+import { BACKENDS, DiscoveryBackend, resolveBackends, SocketQuery } from './backends';
+import { findFreePort, releasePort } from './free-port';
+import { confirmKill, getAncestors, getInvokingUid, getInvokingUser, partitionPids, SafetyContext } from './safety';
+import { withConfig } from './config';
+import { runTui } from './tui';
+import { parsePortNumber, parsePortSpec, parseProtocol, PROTOCOLS } from './port-spec';
+import { findContainers, isContainerProxy, listContainers, matchContainers, PublishingContainer, stopContainers } from './docker';
+import { probeTarget, parseProbeTargets, formatTarget } from './probe';
+import { runCommand } from './run';
+import { appendHistory, createHistoryEntries, getHistoryFile, readHistory } from './history';
+import { delay, mapLimit } from './utils';
+import { consoleReporter, formatContainer, silentReporter, success, error } from './reporter';
+import { ContainerInfo, ExcludedProcess, FilterTarget, KillPlan, KillStep, ListeningPort, PortClientOptions, PortResult, PortSpec, ProcessInfo, Reporter, RunResult, SocketInfo } from './types';
+import { InvalidInputError } from './errors';
+
+// One socket listing per run; every requested port is resolved against it in memory.
+interface Scan {
+  sockets: SocketInfo[];
+  processes: ProcessInfo[];
+  containers?: Promise<PublishingContainer[]>;
+  processList?: Promise<string>;
+}
 
 class PortClient {
-  ports: string | number | number[];
+  ports: PortSpec;
   method: string;
   action: string;
   interactive: boolean;
@@ -10,13 +38,41 @@ class PortClient {
   verbose: boolean;
   graceful: boolean;
   filter: string | null;
+  filterPredicate: FilterPredicate | null;
   range: string | null;
   speed: string;
+  details: boolean;
+  interval: number;
+  reserved: boolean | number[];
+  signal: string | null;
+  timeout: number;
+  tree: boolean;
+  free: boolean;
+  host: string | null;
+  family: number | null;
+  protect: string[];
+  allow: string[];
+  forceOtherUsers: boolean;
+  force: boolean;
+  yes: boolean;
+  backend: string;
+  docker: boolean;
+  concurrency: number;
+  tls: boolean;
+  httpPath: string | null;
+  insecure: boolean;
+  historyFile: string | null;
+  targetPids: number[];
+  processNames: string[];
+  ownerPids: number[] | null;
+  protocols: string[];
+  backends: DiscoveryBackend[] | null;
   platform: string;
+  reporter: Reporter;
 
-  constructor(
-    ports: string | number | number[], 
-    {
+  constructor(ports: PortSpec | null, options: PortClientOptions = {}) {
+    const { ports: configPorts, ...merged } = withConfig(options);
+    const {
       method = 'tcp',
       action = 'check',
       interactive = false,
@@ -26,29 +82,87 @@ class PortClient {
       filter = null,
       range = null,
       speed = 'safe',
-    }: {
-      method?: string;
-      action?: string;
-      interactive?: boolean;
-      dryRun?: boolean;
-      verbose?: boolean;
-      graceful?: boolean;
-      filter?: string | null;
-      range?: string | null;
-      speed?: string;
-    } = {}
-  ) {
-    this.ports = ports;
-    this.method = method;
+      details = false,
+      interval = 1000,
+      reserved = false,
+      signal = null,
+      timeout = 5000,
+      tree = false,
+      free = false,
+      host = null,
+      family = null,
+      protect = [],
+      allow = [],
+      forceOtherUsers = false,
+      force = false,
+      yes = false,
+      backend = 'auto',
+      docker = true,
+      concurrency = 10,
+      tls = false,
+      httpPath = null,
+      insecure = false,
+      history = true,
+      pid = null,
+      name = null,
+      reporter = consoleReporter,
+    }: PortClientOptions = merged;
+
+    this.ports = ports ?? (pid === null && name === null ? configPorts : null) ?? [];
+    this.method = parseProtocol(method);
     this.action = action;
     this.interactive = interactive;
     this.dryRun = dryRun;
     this.verbose = verbose;
     this.graceful = graceful;
     this.filter = filter;
+    this.filterPredicate = filter ? compileFilter(filter) : null;
     this.range = range;
     this.speed = speed;
+    this.details = details;
+    this.interval = interval;
+    this.reserved = reserved;
+    this.signal = signal;
+    this.timeout = timeout;
+    this.tree = tree;
+    this.free = free;
+    this.host = host;
+    this.family = family ? Number(family) : null;
+    if (this.family !== null && this.family !== 4 && this.family !== 6) {
+      throw new InvalidInputError(`Invalid IP family: ${family} (expected 4 or 6)`);
+    }
+    this.protect = typeof protect === 'string' ? protect.split(',') : protect.map(String);
+    this.allow = typeof allow === 'string' ? allow.split(',') : allow;
+    this.forceOtherUsers = forceOtherUsers;
+    this.force = force;
+    this.yes = yes;
+    this.backend = backend;
+    if (backend !== 'auto' && !BACKENDS.includes(backend)) {
+      throw new InvalidInputError(`Unknown backend: ${backend} (expected auto, ${BACKENDS.join(', ')})`);
+    }
+    this.backends = null;
+    this.docker = docker;
+    this.concurrency = Number(concurrency);
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new InvalidInputError(`Invalid concurrency: ${concurrency} (expected a positive integer)`);
+    }
+    this.tls = tls;
+    this.httpPath = httpPath && !httpPath.startsWith('/') ? `/${httpPath}` : httpPath;
+    this.insecure = insecure;
+    this.historyFile = history === true ? getHistoryFile() : history || null;
+    this.targetPids = (pid === null ? [] : Array.isArray(pid) ? pid : String(pid).split(',')).map((value) => {
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new InvalidInputError(`Invalid PID: ${value}`);
+      }
+      return parsed;
+    });
+    this.processNames = (name === null ? [] : Array.isArray(name) ? name : String(name).split(',')).map((value) => value.trim()).filter(Boolean);
+    this.ownerPids = null;
+    // Looking up a process covers both protocols unless one was asked for.
+    this.protocols = merged.method ? [this.method] : PROTOCOLS;
     this.platform = process.platform;
+    this.reporter = reporter || silentReporter;
   }
 
   log(message: string): void {
@@ -58,38 +172,55 @@ class PortClient {
   }
 
   parsePorts(): number[] {
-    if (Array.isArray(this.ports)) {
-      return this.ports.map(Number).filter(Boolean);
-    } else if (this.range) {
-      const [start, end] = this.range.split('-').map(Number);
-      return Array.from({ length: end - start + 1 }, (_, i) => start + i);
-    } else {
-      const port = Number(this.ports);
-      return port ? [port] : [];
-    }
+    const ports = Array.isArray(this.ports) ? this.ports : [this.ports];
+    return parsePortSpec(this.range ? [...ports, this.range] : ports, { protocol: this.method });
   }
 
-  async execute(): Promise<void> {
+  async execute(): Promise<PortResult[]> {
+    if (this.interactive && !this.dryRun) {
+      return this.runInteractive();
+    }
+
+    if (this.action === 'probe') {
+      return this.probePorts();
+    }
+
+    if (this.targetPids.length || this.processNames.length) {
+      return this.handleProcessPorts();
+    }
+
     const parsedPorts = this.parsePorts();
     if (parsedPorts.length === 0) {
-      throw new Error('Invalid or no port(s) provided.');
+      throw new InvalidInputError('Invalid or no port(s) provided.');
     }
 
     if (this.dryRun) {
-      this.success(`Dry run: Ports to operate on - ${parsedPorts.join(', ')}`);
-      return;
+      this.reporter.info(`Dry run: Ports to operate on - ${parsedPorts.join(', ')}`);
+      if (this.action === 'kill') return this.planPorts(parsedPorts);
+      return parsedPorts.map((port) => this.createResult(port, { status: 'dry-run' }));
     }
 
-    if (this.interactive) {
-      const activePorts = await this.listActivePorts();
-      const selectedPorts = await this.promptUserToSelectPorts(activePorts);
+    return this.handlePorts(parsedPorts);
+  }
+
+  async runInteractive(): Promise<PortResult[]> {
+    // Without a terminal (piped input, CI) fall back to the numbered prompt.
+    if (!process.stdin.isTTY || !process.stderr.isTTY) {
+      const selectedPorts = await this.promptUserToSelectPorts(await this.listActivePorts());
       return this.handlePorts(selectedPorts.map(Number)); // Ensure it's a number[]
     }
 
-    return this.handlePorts(parsedPorts);
+    const choice = await runTui(this, { interval: this.interval });
+    if (!choice) return [];
+
+    this.action = 'kill';
+    this.graceful = choice.mode === 'graceful';
+    this.signal = this.graceful ? 'SIGTERM' : 'SIGKILL';
+    // The TUI already asked for confirmation.
+    return this.killPorts(choice.ports, { confirm: false });
   }
 
-  async handlePorts(ports: number[]) {
+  async handlePorts(ports: number[]): Promise<PortResult[]> {
     switch (this.action) {
       case 'check':
       case 'isExist':
@@ -98,41 +229,149 @@ class PortClient {
       case 'kill':
         return this.killPorts(ports);
 
+      case 'watch':
+        return this.watchUntilStopped(ports);
+
+      case 'wait':
+        return this.waitPorts(ports);
+
       default:
-        throw new Error(`Unknown action: ${this.action}`);
+        throw new InvalidInputError(`Unknown action: ${this.action}`);
     }
   }
 
-  async listActivePorts(): Promise<string[]> {
-    const command = this.platform === 'win32'
-      ? 'netstat -nao'
-      : (this.speed === 'fast'
-        ? `lsof -i :${this.ports}`
-        : 'lsof -i -P -n');
+  async listListeners(): Promise<ListeningPort[]> {
+    const requested = this.parsePorts();
+    const snapshot = await this.discover({ protocol: this.method, family: this.family });
+    const sockets = snapshot.filter((socket) =>
+      socket.localPort !== null
+      && isListening(socket)
+      && (!requested.length || requested.includes(socket.localPort))
+      && matchesSocket(socket, this.socketMatch(socket.localPort)));
 
-    try {
-      const { stdout } = await sh(command);
-      const lines = stdout.split('\n');
-      return this.platform === 'win32' ? this.parseWindowsPorts(lines) : this.parseUnixPorts(lines);
-    } catch (error: any) {
-      throw new Error(`Failed to list active ports: ${(error as Error).message}`);
-    }
-  }
+    const pids = this.parsePids(sockets.map((socket) => String(socket.pid)));
+    const processes = pids.length ? await this.getProcessDetails(pids).catch(() => []) : [];
 
-  parseWindowsPorts(lines: string[]): string[] {
-    const regex = new RegExp(`^ *${this.method.toUpperCase()} *[^ ]*:(\\d+),`, 'gm');
-    return lines.reduce((acc: string[], line: string) => {
-      const match = line.match(regex);
-      if (match && match[1] && !acc.includes(match[1])) {
-        acc.push(match[1]);
+    const rows = sockets.reduce((acc: ListeningPort[], socket) => {
+      const info = processes.find((candidate) => candidate.pid === socket.pid);
+      if (this.filterPredicate && !this.filterPredicate(this.toFilterTarget(socket.pid as number, socket.state, socket.command, info))) {
+        return acc;
+      }
+
+      // IPv4 and IPv6 listeners, and forked workers sharing a socket, collapse into one row per port.
+      const row = acc.find((candidate) => candidate.port === socket.localPort);
+      if (!row) {
+        acc.push({
+          port: socket.localPort as number,
+          protocol: socket.protocol,
+          address: socket.localAddress,
+          pids: socket.pid ? [socket.pid] : [],
+          user: info ? info.user : socket.user,
+          name: info ? info.name : socket.command,
+          command: info ? info.command : null,
+          connections: summarizeConnections(snapshot, this.socketMatch(socket.localPort as number)).states.ESTABLISHED || 0,
+        });
+      } else if (socket.pid && !row.pids.includes(socket.pid)) {
+        row.pids.push(socket.pid);
       }
       return acc;
     }, []);
+
+    return rows.sort((a, b) => a.port - b.port);
+  }
+
+  describeTargetProcesses(): string {
+    return [
+      ...this.targetPids.map((pid) => `PID ${pid}`),
+      ...this.processNames.map((name) => `"${name}"`),
+    ].join(', ');
+  }
+
+  async findProcessPorts(): Promise<PortResult[]> {
+    const requested = this.parsePorts();
+    const names = this.processNames.map((name) => name.toLowerCase());
+    const results: PortResult[] = [];
+
+    for (const protocol of this.protocols) {
+      const sockets = (await this.discover({ protocol, family: this.family })).filter((socket) =>
+        socket.localPort !== null && isListening(socket) && (!requested.length || requested.includes(socket.localPort)));
+
+      const owners = this.parsePids(sockets.map((socket) => String(socket.pid)));
+      const processes = owners.length ? await this.getProcessDetails(owners).catch(() => []) : [];
+      const isNamed = (socket: SocketInfo) => {
+        const info = processes.find((candidate) => candidate.pid === socket.pid);
+        const processName = (info ? info.name : socket.command || '').toLowerCase().replace(/\.exe$/, '');
+        return names.includes(processName);
+      };
+
+      let targets = this.parsePids(sockets.filter((socket) => this.targetPids.includes(socket.pid as number) || isNamed(socket))
+        .map((socket) => String(socket.pid)));
+      if (this.tree) {
+        // Named processes are matched on their own sockets; their children are added like those of --pid.
+        targets = await this.processTree([...this.targetPids, ...targets]);
+      }
+
+      sockets.filter((socket) => targets.includes(socket.pid as number)).forEach((socket) => {
+        let result = results.find((candidate) => candidate.protocol === protocol && candidate.port === socket.localPort);
+        if (!result) {
+          result = this.createResult(socket.localPort as number, { protocol, status: 'active' });
+          results.push(result);
+        }
+        if (!result.pids.includes(socket.pid as number)) {
+          result.pids.push(socket.pid as number);
+          const info = processes.find((candidate) => candidate.pid === socket.pid);
+          if (info) result.processes.push(info);
+        }
+      });
+    }
+
+    return results.sort((a, b) => a.port - b.port || a.protocol.localeCompare(b.protocol));
+  }
+
+  async handleProcessPorts(): Promise<PortResult[]> {
+    const found = await this.findProcessPorts();
+    if (found.length === 0) {
+      this.reporter.info(`No ports held by ${this.describeTargetProcesses()}`);
+      return [];
+    }
+    if (this.action !== 'kill') {
+      found.forEach((result) => this.reporter.result(result));
+      return found;
+    }
+
+    // The kill pipeline resolves ports for one protocol at a time.
+    const results: PortResult[] = [];
+    const method = this.method;
+    try {
+      for (const protocol of this.protocols) {
+        this.method = protocol;
+        const ports = found.filter((result) => result.protocol === protocol).map((result) => result.port);
+        // Other processes sharing these ports (SO_REUSEPORT, forked workers) are not what was asked for.
+        this.ownerPids = found.filter((result) => result.protocol === protocol).flatMap((result) => result.pids);
+        // Killing the owners of the TCP ports usually releases their UDP ports as well.
+        const busy = results.length && !this.dryRun ? await this.findBusyPorts(ports) : ports;
+        ports.filter((port) => !busy.includes(port)).forEach((port) => {
+          const { pids, processes } = found.find((result) => result.protocol === protocol && result.port === port) as PortResult;
+          const killed = results.find((result) => result.success && result.pids.some((killedPid) => pids.includes(killedPid)));
+          const result = this.createResult(port, { status: 'killed', pids, processes, signal: killed ? killed.signal : null });
+          this.reporter.result(result);
+          results.push(result);
+        });
+        if (busy.length) results.push(...await (this.dryRun ? this.planPorts(busy) : this.killPorts(busy)));
+      }
+    } finally {
+      this.method = method;
+      this.ownerPids = null;
+    }
+    return results.sort((a, b) => a.port - b.port || a.protocol.localeCompare(b.protocol));
   }
 
-  parseUnixPorts(lines: string[]): string[] {
-    const regex = /(?<=:\d{1,5})->|\b\d{1,5}(?=->|\s+\(CLOSED\)|\s+\(ESTABLISHED\)|\s+\(LISTEN\))/g;
-    return lines.flatMap((line: string) => line.match(regex) || []).filter(Boolean);
+  async listActivePorts(): Promise<string[]> {
+    try {
+      return (await this.listListeners()).map((row) => String(row.port));
+    } catch (error: any) {
+      throw new Error(`Failed to list active ports: ${(error as Error).message}`);
+    }
   }
 
   async promptUserToSelectPorts(activePorts: string[]): Promise<number[]> {
@@ -153,109 +392,558 @@ class PortClient {
   }
 
   success(message: string): void {
-    console.log('\x1b[32m%s\x1b[0m', `${message}`);
+    success(message);
   }
 
   error(message: string): void {
-    console.log('\x1b[31m%s\x1b[0m', `${message}`);
+    error(message);
   }
 
-  async showPortInfo(ports: number[]): Promise<void> {
+  createResult(port: number, fields: Partial<PortResult>): PortResult {
+    return {
+      port,
+      protocol: this.method,
+      action: this.action,
+      status: 'inactive',
+      pids: [],
+      signal: null,
+      success: true,
+      error: null,
+      processes: [],
+      steps: [],
+      excluded: [],
+      containers: [],
+      probe: null,
+      connections: null,
+      ...fields,
+    };
+  }
+
+  async showPortInfo(ports: number[]): Promise<PortResult[]> {
+    const results: PortResult[] = [];
+
+    let scan: Scan;
+    try {
+      scan = await this.scan(ports, { processes: this.details || Boolean(this.filterPredicate) });
+    } catch (error: any) {
+      return ports.map((port) => {
+        const result = this.createResult(port, { status: 'error', success: false, error: (error as Error).message });
+        this.reporter.result(result);
+        return result;
+      });
+    }
+
     for (const port of ports) {
+      let result: PortResult;
       try {
-        const isActive = await this.checkPortStatus(port);
-        this.success(isActive ? `Port ${port} is active.` : `Port ${port} is not active.`);
+        const sockets = await this.findSockets(port, scan.sockets);
+        let isActive = sockets.length > 0;
+        const pids = isActive ? await this.findMatchingPids(port, scan).catch(() => []) : [];
+        if (this.filterPredicate) isActive = pids.length > 0;
+        const processes = this.details ? await this.lookupProcesses(pids, scan) : [];
+        const containers = isActive ? await this.findContainers(port, sockets, scan) : [];
+        const connections = summarizeConnections(scan.sockets, this.socketMatch(port));
+        result = this.createResult(port, { status: isActive ? 'active' : 'inactive', pids, processes, containers, connections });
       } catch (error: any) {
-        this.error(`Error checking port ${port}: ${(error as Error).message}`);
+        result = this.createResult(port, { status: 'error', success: false, error: (error as Error).message });
       }
+
+      this.reporter.result(result);
+      results.push(result);
     }
+
+    return results;
   }
 
-  async isExistFast(port: number): Promise<boolean> {
-    // Fast method: using lsof (this is an example, you can replace with your own fast method)
-    try {
-      const { stdout } = await sh(`lsof -i tcp:${port}`);
-      return stdout.trim().length > 0;
-    } catch (error: any) {
-      return false;
+  async probePorts(): Promise<PortResult[]> {
+    if (this.method !== 'tcp') {
+      throw new InvalidInputError(`Probing is only supported over tcp, not ${this.method}`);
+    }
+
+    const hosts = this.host ? this.host.split(',').map((host) => host.trim()).filter(Boolean) : ['localhost'];
+    const targets = parseProbeTargets(this.ports, hosts, { protocol: this.method, range: this.range });
+    if (targets.length === 0) {
+      throw new InvalidInputError('Invalid or no port(s) provided.');
     }
+
+    if (this.dryRun) {
+      this.reporter.info(`Dry run: Targets to probe - ${targets.map(({ host, port }) => formatTarget(host, port)).join(', ')}`);
+      return targets.map(({ host, port }) => this.createResult(port, {
+        status: 'dry-run',
+        probe: { host, latency: null, tls: null, http: null },
+      }));
+    }
+
+    const options = { timeout: this.timeout, tls: this.tls, httpPath: this.httpPath, insecure: this.insecure };
+    return mapLimit(targets, this.concurrency, async ({ host, port }) => {
+      const { probe, error, connected } = await probeTarget(host, port, options);
+      this.log(`Probed ${formatTarget(host, port)}: ${error || `${probe.latency}ms`}`);
+
+      let status: PortResult['status'] = 'active';
+      if (!connected) status = 'inactive';
+      else if (error) status = 'failed';
+
+      const result = this.createResult(port, { status, success: !error, error, probe });
+      this.reporter.result(result);
+      return result;
+    });
   }
 
-  async checkPortStatus(port: number): Promise<boolean> {
-    const checkMethod = this.speed === 'fast' ? this.isExistFast : this.isExistNormal;
-    return await checkMethod.call(this, port);
+  async getProcessDetails(pids: number[]): Promise<ProcessInfo[]> {
+    return getProcessInfo(pids, this.platform);
   }
 
-  async killPorts(ports: number[]): Promise<void> {
-    for (const port of ports) {
+  async lookupProcesses(pids: number[], scan?: Scan): Promise<ProcessInfo[]> {
+    if (!scan) return this.getProcessDetails(pids);
+
+    const missing = pids.filter((pid) => !scan.processes.some((info) => info.pid === pid));
+    if (missing.length) scan.processes.push(...await this.getProcessDetails(missing));
+    return scan.processes.filter((info) => pids.includes(info.pid));
+  }
+
+  async processTree(pids: number[], scan?: Scan): Promise<number[]> {
+    if (scan && this.platform !== 'win32' && !scan.processList) {
+      scan.processList = getProcessList();
+    }
+    return getProcessTree(pids, this.platform, scan ? scan.processList : undefined);
+  }
+
+  watch(ports: number[] = this.parsePorts()): PortWatcher {
+    const watcher = new PortWatcher(this, ports, { interval: this.interval, reserved: this.reserved });
+    watcher.on('change', (event) => this.reporter.event(event));
+    watcher.on('killed', (result) => this.reporter.result(result));
+    return watcher;
+  }
+
+  async watchUntilStopped(ports: number[]): Promise<PortResult[]> {
+    const watcher = this.watch(ports);
+    watcher.on('error', (error) => this.error(error.message));
+    watcher.start();
+    await once(watcher, 'stop');
+
+    const state = watcher.snapshot();
+    return ports.map((port) => {
+      const { pids = [], processes = [] } = state.get(port) || {};
+      return this.createResult(port, { status: pids.length ? 'active' : 'inactive', pids, processes });
+    });
+  }
+
+  async waitPorts(ports: number[]): Promise<PortResult[]> {
+    const options = { timeout: this.timeout, interval: this.interval, host: this.host };
+
+    return Promise.all(ports.map(async (port) => {
+      let result: PortResult;
       try {
-        const command = this.platform === 'win32'
-          ? await this.getWindowsKillCommand(port)
-          : await this.getUnixKillCommand(port, this.method, this.graceful);
+        await waitForState(this, port, !this.free, options);
+        result = this.createResult(port, { status: this.free ? 'inactive' : 'active' });
+      } catch (error: any) {
+        result = this.createResult(port, { status: 'error', success: false, error: (error as Error).message });
+      }
+
+      this.reporter.result(result);
+      return result;
+    }));
+  }
+
+  socketMatch(port: number): SocketMatch {
+    return { port, protocol: this.method, family: this.family, host: this.host };
+  }
 
-        this.log(`Executing: ${command}`);
-        const result = await sh(command);
-        this.success(`Successfully killed port ${port} ${result.stdout}`);
+  async discover(query: SocketQuery): Promise<SocketInfo[]> {
+    if (!this.backends) {
+      this.backends = await resolveBackends(this.backend, this.platform);
+    }
+
+    const errors: string[] = [];
+    while (this.backends.length) {
+      const [backend] = this.backends;
+      try {
+        const sockets = await backend.listSockets(query, this.platform);
+        this.log(`Discovered ${sockets.length} socket(s) with the ${backend.name} backend`);
+        return sockets;
       } catch (error: any) {
-        this.error(`Failed to kill port ${port}: ${(error as Error).message}`);
+        errors.push(`${backend.name}: ${(error as Error).message}`);
+        // Fast mode does not retry; otherwise fall back to the next backend for good.
+        if (this.speed === 'fast') break;
+        this.backends = this.backends.slice(1);
       }
     }
+
+    const tried = errors.length ? ` (${errors.join('; ')})` : '';
+    throw new Error(`No discovery backend available${tried}`);
   }
 
-  async getWindowsKillCommand(port: number): Promise<string> {
-    try {
-      const { stdout } = await sh('netstat -nao');
-      const lines = stdout.split('\n');
-      const regex = new RegExp(`^ *${this.method.toUpperCase()} *[^ ]*:${port},`, 'gm');
-      const linesWithPort = lines.filter((line: string) => regex.test(line));
-
-      const pids = linesWithPort.reduce((acc: string[], line: string) => {
-        const pidMatch = line.match(/(\d+)\w*/);
-        if (pidMatch) acc.push(pidMatch[1]);
-        return acc;
-      }, []);
+  async snapshot(): Promise<SocketInfo[]> {
+    return this.discover({ protocol: this.method, family: this.family });
+  }
 
-      return `TaskKill /F /PID ${pids.join(' /PID ')}`;
+  async scan(ports: number[], { processes = false }: { processes?: boolean } = {}): Promise<Scan> {
+    const scan: Scan = { sockets: await this.snapshot(), processes: [] };
+    if (!processes) return scan;
+
+    const requested = new Set(ports);
+    const pids = this.parsePids(scan.sockets
+      .filter((socket) => socket.localPort !== null && requested.has(socket.localPort))
+      .map((socket) => String(socket.pid)));
+    scan.processes = pids.length ? await this.getProcessDetails(pids).catch(() => []) : [];
+    return scan;
+  }
+
+  async findSockets(port: number, snapshot?: SocketInfo[]): Promise<SocketInfo[]> {
+    const sockets = snapshot || await this.discover({ protocol: this.method, port, family: this.family });
+    return sockets.filter((socket) => holdsPort(socket, this.socketMatch(port)));
+  }
+
+  async findBusyPorts(ports: number[]): Promise<number[]> {
+    try {
+      const snapshot = await this.snapshot();
+      return ports.filter((port) => snapshot.some((socket) => holdsPort(socket, this.socketMatch(port)) && this.isOwnerPid(socket.pid)));
     } catch (error: any) {
-      throw new Error(`Failed to get Windows kill command: ${(error as Error).message}`);
+      return ports;
     }
   }
 
-  async getUnixKillCommand(port: number, method: string = 'tcp', graceful: boolean = false): Promise<string> {
-    const baseCommand = this.buildBaseCommand(method, port);
-    const killCommand = graceful ? 'kill' : 'kill -9';
+  async findContainers(port: number, sockets: SocketInfo[], scan?: Scan): Promise<ContainerInfo[]> {
+    // Only ask the container runtime when a proxy (or an owner we cannot see) holds the port.
+    const proxied = sockets.some((socket) => socket.pid === null || isContainerProxy(socket.command));
+    if (!this.docker || !proxied) return [];
+    if (!scan) return findContainers(port, this.method).catch(() => []);
+
+    scan.containers = scan.containers || listContainers().catch(() => []);
+    return matchContainers(await scan.containers, port, this.method);
+  }
+
+  async checkPortStatus(port: number): Promise<boolean> {
+    return (await this.findSockets(port)).length > 0;
+  }
+
+  async getSafetyContext(): Promise<SafetyContext> {
+    return {
+      protect: this.protect,
+      allow: this.allow,
+      user: getInvokingUser(),
+      uid: getInvokingUid(this.platform),
+      forceOtherUsers: this.forceOtherUsers,
+      force: this.force,
+      ancestors: await getAncestors(this.platform),
+    };
+  }
+
+  async planKill(port: number, context: SafetyContext, scan?: Scan): Promise<KillPlan> {
+    const plan: KillPlan = { port, pids: [], targets: [], processes: [], excluded: [], containers: [], error: null };
 
     try {
-      const processExists = await this.checkIfProcessExists(port);
+      plan.pids = await this.findMatchingPids(port, scan);
+      if (this.filterPredicate) plan.excluded = await this.findFilteredOut(port, plan.pids, scan);
+      const sockets = await this.findSockets(port, scan ? scan.sockets : undefined).catch(() => []);
+      if ((!this.filterPredicate && !this.ownerPids) || plan.pids.length) {
+        // Stopping the container frees the port cleanly; killing docker-proxy would break the daemon.
+        plan.containers = await this.findContainers(port, sockets, scan);
+        if (plan.containers.length) return plan;
+      }
 
-      if (!processExists) {
-        throw new Error('No process running on port');
+      if (plan.pids.length === 0) {
+        if (this.ownerPids) throw new Error(`No longer held by ${this.describeTargetProcesses()}`);
+        throw new Error(this.filter ? `No process matching "${this.filter}" running on port` : await this.describeUnownedPort(port, scan));
       }
 
-      return `${baseCommand} ${killCommand}`;
+      const candidates = this.tree ? await this.processTree(plan.pids, scan) : plan.pids;
+      plan.processes = this.identifyProcesses(candidates, await this.lookupProcesses(candidates, scan).catch(() => []), sockets);
+
+      const { allowed, excluded } = partitionPids(candidates, plan.processes, context);
+      plan.targets = allowed;
+      plan.excluded.push(...excluded);
+      if (allowed.length === 0) {
+        throw new Error(`Refusing to kill: ${excluded.map(({ pid, reason }) => `PID ${pid} ${reason}`).join('; ')}`);
+      }
     } catch (error: any) {
-      throw new Error(`${(error as Error).message}`);
+      plan.error = (error as Error).message;
     }
+
+    return plan;
   }
 
-  async isExistNormal(port: number): Promise<boolean> {
-    // Normal method: using netstat (this is an example, you can replace with your own normal method)
+  // The safety rules need a name and an owner for every target. When ps could not describe a PID, use what the
+  // socket listing or /proc knows; PIDs left without either are refused by the rules unless forced.
+  identifyProcesses(pids: number[], processes: ProcessInfo[], sockets: SocketInfo[]): ProcessInfo[] {
+    const identified = [...processes];
+
+    for (const pid of pids) {
+      if (identified.some((info) => info.pid === pid)) continue;
+
+      const socket = sockets.find((candidate) => candidate.pid === pid && candidate.command);
+      // ss reports no owner, so /proc fills it in where the socket listing falls short.
+      const proc = (!socket || !socket.user) && this.platform === 'linux' ? readProcIdentity(pid) : null;
+      const name = socket ? socket.command : proc ? proc.name : null;
+      if (!name) continue;
+
+      identified.push({
+        pid,
+        name,
+        command: name,
+        user: socket ? socket.user : null,
+        uid: proc ? proc.uid : null,
+        cwd: null,
+        ppid: null,
+        startTime: null,
+        uptime: null,
+      });
+    }
+
+    return identified;
+  }
+
+  async findFilteredOut(port: number, matching: number[], scan?: Scan): Promise<ExcludedProcess[]> {
+    const skipped = (await this.findPids(port, scan ? scan.sockets : undefined)).filter((pid) => !matching.includes(pid));
+    const processes = skipped.length ? await this.lookupProcesses(skipped, scan).catch(() => []) : [];
+    return skipped.map((pid) => {
+      const info = processes.find((candidate) => candidate.pid === pid);
+      return { pid, name: info ? info.name : null, reason: `does not match filter ${this.filter}` };
+    });
+  }
+
+  async describeUnownedPort(port: number, scan?: Scan): Promise<string> {
+    const sockets = scan ? scan.sockets : await this.discover({ protocol: this.method, port, family: this.family }).catch(() => []);
+    const lingering = summarizeConnections(sockets, this.socketMatch(port)).states.TIME_WAIT;
+    return lingering
+      ? `No process running on port, only ${lingering} closed connection(s) in TIME_WAIT that the kernel releases on its own`
+      : 'No process running on port';
+  }
+
+  killSignal(): string {
+    return normalizeSignal(this.signal || (this.graceful ? 'SIGTERM' : 'SIGKILL'));
+  }
+
+  async planKills(ports: number[], context: SafetyContext): Promise<KillPlan[]> {
+    // Without a snapshot every port falls back to its own lookup, which reports the discovery error.
+    const scan = await this.scan(ports, { processes: true }).catch(() => undefined);
+
+    const plans: KillPlan[] = [];
+    for (const port of ports) {
+      plans.push(await this.planKill(port, context, scan));
+    }
+    return plans;
+  }
+
+  async planPorts(ports: number[]): Promise<PortResult[]> {
+    const signal = this.killSignal();
+    const plans = await this.planKills(ports, await this.getSafetyContext());
+
+    return plans.map((plan) => {
+      const result = this.createPlanResult(plan, signal);
+      this.reporter.result(result);
+      return result;
+    });
+  }
+
+  // The steps a kill would take, in the shape runKillPipeline reports them, with nothing exited yet.
+  createPlanResult(plan: KillPlan, signal: string): PortResult {
+    const { port, pids, targets, processes, excluded, containers } = plan;
+    const planned = (stepSignal: string, stepPids: number[]): KillStep => ({
+      signal: stepSignal, pids: stepPids, exited: [], remaining: stepPids, portFreed: false, elapsed: 0, error: null,
+    });
+
+    let steps: KillStep[] = [];
+    if (containers.length) {
+      steps = [planned('docker stop', pids)];
+    } else if (!plan.error) {
+      // SIGKILL only goes to the processes that outlive the timeout.
+      steps = signal === 'SIGKILL' ? [planned(signal, targets)] : [planned(signal, targets), planned('SIGKILL', targets)];
+    }
+
+    return this.createResult(port, {
+      status: 'dry-run',
+      pids,
+      signal: steps.length ? steps[0].signal : null,
+      success: !plan.error,
+      error: plan.error,
+      processes,
+      excluded,
+      containers,
+      steps,
+    });
+  }
+
+  async killPorts(ports: number[], { confirm = !this.yes }: { confirm?: boolean } = {}): Promise<PortResult[]> {
+    const signal = this.killSignal();
+    const context = await this.getSafetyContext();
+    const plans = await this.planKills(ports, context);
+
+    const runnable = plans.filter((plan) => !plan.error);
+    const cancelled = confirm && runnable.length > 0 && Boolean(process.stdin.isTTY && process.stderr.isTTY)
+      && !(await confirmKill(runnable.flatMap((plan) => this.describePlan(plan))));
+
+    const results: PortResult[] = new Array(plans.length);
+    const finish = (index: number, result: PortResult) => {
+      results[index] = result;
+      this.recordHistory(result, context.user);
+      this.reporter.result(result);
+    };
+
+    // Ports held by the same processes are killed together, with one signal per group.
+    const groups: { indexes: number[]; targets: number[] }[] = [];
+    plans.forEach((plan, index) => {
+      if (plan.error || cancelled) {
+        finish(index, this.createKillResult(plan, [], plan.error || 'Kill cancelled'));
+        return;
+      }
+
+      const group = { indexes: [index], targets: [...plan.targets] };
+      groups.filter((candidate) => candidate.targets.some((pid) => plan.targets.includes(pid))).forEach((shared) => {
+        group.indexes.unshift(...shared.indexes);
+        group.targets.push(...shared.targets.filter((pid) => !group.targets.includes(pid)));
+        groups.splice(groups.indexOf(shared), 1);
+      });
+      groups.push(group);
+    });
+
+    await mapLimit(groups, this.concurrency, async ({ indexes, targets }) => {
+      const group = indexes.sort((a, b) => a - b).map((index) => plans[index]);
+      const groupPorts = group.map((plan) => plan.port);
+      let steps: KillStep[] = [];
+      try {
+        steps = group[0].containers.length
+          ? [await this.stopPortContainers(group[0], signal)]
+          : await runKillPipeline(this, groupPorts, targets, { signal, timeout: this.timeout, tree: this.tree });
+      } catch (error: any) {
+        indexes.forEach((index) => finish(index, this.createKillResult(plans[index], steps, (error as Error).message)));
+        return;
+      }
+
+      const last = steps[steps.length - 1];
+      const busy = last.portFreed ? [] : await this.findBusyPorts(groupPorts);
+      indexes.forEach((index) => {
+        const freed = last.portFreed || !busy.includes(plans[index].port);
+        finish(index, this.createKillResult(plans[index], steps, freed ? null : last.error || `Port still in use after ${last.signal}`));
+      });
+    });
+
+    return results;
+  }
+
+  createKillResult(plan: KillPlan, steps: KillStep[], error: string | null): PortResult {
+    const { port, pids, processes, excluded, containers } = plan;
+    const signal = steps.length ? steps[steps.length - 1].signal : null;
+
+    if (!error) {
+      return this.createResult(port, { status: 'killed', pids, signal, processes, excluded, containers, steps });
+    }
+    return this.createResult(port, {
+      status: pids.length ? 'failed' : 'not-found',
+      pids,
+      signal,
+      success: false,
+      error,
+      processes,
+      excluded,
+      containers,
+      steps,
+    });
+  }
+
+  recordHistory(result: PortResult, user: string): void {
+    if (!this.historyFile) return;
+    try {
+      appendHistory(createHistoryEntries(result, { user, cwd: process.cwd() }), this.historyFile);
+    } catch (error: any) {
+      // The kill itself went through; a read-only home directory must not turn it into a failure.
+      this.log(`Could not write kill history to ${this.historyFile}: ${(error as Error).message}`);
+    }
+  }
+
+  async stopPortContainers(plan: KillPlan, signal: string): Promise<KillStep> {
+    const step = await stopContainers(plan.containers, signal === 'SIGKILL' ? 0 : this.timeout);
+    step.pids = plan.pids;
+    if (step.error) return step;
+
+    // docker stop returns once the container exited; the proxy may need a moment to let go.
+    for (let attempt = 0; attempt < 10 && !step.portFreed; attempt++) {
+      step.portFreed = (await this.findSockets(plan.port).catch(() => [])).length === 0;
+      if (!step.portFreed) await delay(100);
+    }
+    step.exited = step.portFreed ? plan.pids : [];
+    step.remaining = step.portFreed ? [] : plan.pids;
+    return step;
+  }
+
+  describePlan(plan: KillPlan): string[] {
+    if (plan.containers.length) {
+      return plan.containers.map((container) => `  port ${plan.port}: stop container ${formatContainer(container)}`);
+    }
+
+    return plan.targets.map((pid) => {
+      const info = plan.processes.find((candidate) => candidate.pid === pid);
+      return info
+        ? `  port ${plan.port}: PID ${pid} ${info.name}${info.user ? ` [${info.user}]` : ''} ${info.command}`
+        : `  port ${plan.port}: PID ${pid}`;
+    });
+  }
+
+  // While killing the ports of --pid/--name targets, only their own sockets count as holding a port.
+  isOwnerPid(pid: number | null): boolean {
+    return !this.ownerPids || (pid !== null && this.ownerPids.includes(pid));
+  }
+
+  async findPids(port: number, snapshot?: SocketInfo[]): Promise<number[]> {
     try {
-      const { stdout } = await sh(`netstat -na | grep :${port}`);
-      return stdout.trim().length > 0;
+      const sockets = (await this.findSockets(port, snapshot)).filter((socket) => this.isOwnerPid(socket.pid));
+      return this.parsePids(sockets.map((socket) => String(socket.pid)));
     } catch (error: any) {
-      return false;
+      throw new Error(`Failed to find processes on port ${port}: ${(error as Error).message}`);
     }
   }
 
-  buildBaseCommand(method: string, port: number): string {
-    return `lsof -t -i ${method}:${port}`;
+  async findMatchingPids(port: number, scan?: Scan): Promise<number[]> {
+    const pids = await this.findPids(port, scan ? scan.sockets : undefined);
+    if (!this.filterPredicate || pids.length === 0) return pids;
+
+    const targets = await this.getFilterTargets(port, pids, scan);
+    return targets.reduce((acc: number[], target) => {
+      if (this.filterPredicate!(target) && !acc.includes(target.pid)) acc.push(target.pid);
+      return acc;
+    }, []);
+  }
+
+  async getFilterTargets(port: number, pids: number[], scan?: Scan): Promise<FilterTarget[]> {
+    const sockets = (await this.findSockets(port, scan ? scan.sockets : undefined).catch(() => []))
+      .filter((socket) => socket.pid !== null && pids.includes(socket.pid));
+    const processes = await this.lookupProcesses(pids, scan).catch(() => []);
+
+    const find = (pid: number) => processes.find((candidate) => candidate.pid === pid);
+
+    const targets = sockets.map((socket) => this.toFilterTarget(socket.pid as number, socket.state, socket.command, find(socket.pid as number)));
+    pids
+      .filter((pid) => !sockets.some((socket) => socket.pid === pid))
+      .forEach((pid) => targets.push(this.toFilterTarget(pid, null, null, find(pid))));
+
+    return targets;
+  }
+
+  toFilterTarget(pid: number, state: string | null, fallbackName: string | null, info?: ProcessInfo): FilterTarget {
+    return {
+      pid,
+      state,
+      name: info ? info.name : fallbackName,
+      cmd: info ? info.command : null,
+      user: info ? info.user : null,
+      ppid: info ? info.ppid : null,
+      cwd: info ? info.cwd : null,
+      protocol: this.method,
+    };
+  }
+
+  parsePids(lines: string[]): number[] {
+    return lines.reduce((acc: number[], line: string) => {
+      const pid = Number(line.trim());
+      if (pid && !acc.includes(pid)) acc.push(pid);
+      return acc;
+    }, []);
   }
 
   async checkIfProcessExists(port: number): Promise<boolean> {
     try {
-      const { stdout } = await sh(`lsof -t -i tcp:${port}`);
-      return stdout.trim().length > 0;
+      const pids = await this.findPids(port);
+      return pids.length > 0;
     } catch (error: any) {
       throw new Error(`Failed to check if process exists on port ${port}`);
     }
@@ -263,9 +951,82 @@ class PortClient {
 }
 
 // Step 2: Wrap the invocation logic in an exported function
-async function runPortClient (ports: number | number[], options = {}) {
+async function runPortClient (ports: PortSpec | null, options: PortClientOptions = {}): Promise<PortResult[]> {
     const portClient = new PortClient(ports, options);
     return portClient.execute();
 }
 
-module.exports = runPortClient;
+function watchPorts (ports: PortSpec, options: PortClientOptions = {}): PortWatcher {
+    const portClient = new PortClient(ports, { reporter: false, ...options });
+    return portClient.watch().start();
+}
+
+async function waitForPort (port: number, { timeout = 5000, interval = 250, host = null, ...options }: PortClientOptions = {}): Promise<number> {
+    const portClient = new PortClient(port, { reporter: false, ...options });
+    return waitForState(portClient, parsePortNumber(port), true, { timeout, interval, host });
+}
+
+async function waitForFree (port: number, { timeout = 5000, interval = 250, host = null, ...options }: PortClientOptions = {}): Promise<number> {
+    const portClient = new PortClient(port, { reporter: false, ...options });
+    return waitForState(portClient, parsePortNumber(port), false, { timeout, interval, host });
+}
+
+async function probePorts (targets: PortSpec, options: PortClientOptions = {}): Promise<PortResult[]> {
+    return runPortClient(targets, { reporter: false, ...options, action: 'probe' });
+}
+
+async function runWithPort (ports: PortSpec, command: string[], options: PortClientOptions = {}): Promise<RunResult> {
+    const portClient = new PortClient(ports, { reporter: false, ...options, action: 'kill' });
+    return runCommand(portClient, portClient.parsePorts(), command);
+}
+
+async function portsByProcess (target: number | string | (number | string)[], options: PortClientOptions = {}): Promise<PortResult[]> {
+    const targets = (Array.isArray(target) ? target : [target]).map(String);
+    const pid = targets.filter((value) => /^\d+$/.test(value));
+    const name = targets.filter((value) => !/^\d+$/.test(value));
+    return runPortClient(null, { reporter: false, ...options, pid, name });
+}
+
+async function listPorts (ports: PortSpec | null = null, options: PortClientOptions = {}): Promise<ListeningPort[]> {
+    const portClient = new PortClient(ports, { reporter: false, ...options });
+    return portClient.listListeners();
+}
+
+async function checkPort (port: number | string, options: PortClientOptions = {}): Promise<PortResult> {
+    const [result] = await runPortClient(parsePortNumber(port), { reporter: false, ...options, action: 'check' });
+    return result;
+}
+
+async function killPort (port: number | string, options: PortClientOptions = {}): Promise<PortResult> {
+    const [result] = await runPortClient(parsePortNumber(port), { reporter: false, ...options, action: 'kill' });
+    return result;
+}
+
+export default runPortClient;
+export {
+    PortClient,
+    runPortClient,
+    listPorts,
+    checkPort,
+    killPort,
+    waitForPort,
+    waitForFree,
+    findFreePort,
+    releasePort,
+    watchPorts,
+    PortWatcher,
+    probePorts,
+    runWithPort,
+    readHistory,
+    portsByProcess,
+    InvalidInputError,
+};
+// The building blocks of the CLI, for scripts that want the same parsing and output.
+export { parsePortSpec } from './port-spec';
+export { parseDuration } from './utils';
+export { loadConfig } from './config';
+export { createReporter, printResults, printHistory, getExitCode, OUTPUT_FORMATS, EXIT_CODES } from './reporter';
+export * from './types';
+
+// require('port-client') has always returned runPortClient itself, with everything else attached to it.
+module.exports = Object.assign(runPortClient, exports);
@@ -0,0 +1,154 @@
+import { execCommand } from './exec';
+import { constants } from 'os';
+import { KillStep, SocketInfo } from './types';
+import { delay } from './utils';
+import { InvalidInputError } from './errors';
+
+interface KillTarget {
+  platform: string;
+  findPids(port: number, snapshot?: SocketInfo[]): Promise<number[]>;
+  snapshot?(): Promise<SocketInfo[]>;
+  log(message: string): void;
+}
+
+const POLL_INTERVAL = 100;
+
+export function normalizeSignal(signal: string | number): string {
+  const name = typeof signal === 'number'
+    ? Object.keys(constants.signals).find((key) => (constants.signals as any)[key] === signal)
+    : (/^SIG/i.test(signal) ? signal : `SIG${signal}`).toUpperCase();
+
+  if (!name || !(name in constants.signals)) {
+    throw new InvalidInputError(`Unknown signal: ${signal}`);
+  }
+
+  return name;
+}
+
+export function isAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error: any) {
+    return error.code === 'EPERM';
+  }
+}
+
+export function collectDescendants(pids: number[], processList: string): number[] {
+  const children = new Map<number, number[]>();
+
+  for (const line of processList.split('\n')) {
+    const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+    if (!pid || !ppid) continue;
+    children.set(ppid, [...(children.get(ppid) || []), pid]);
+  }
+
+  const result = [...pids];
+  for (let i = 0; i < result.length; i++) {
+    for (const child of children.get(result[i]) || []) {
+      if (!result.includes(child)) result.push(child);
+    }
+  }
+
+  return result;
+}
+
+export async function getProcessList(): Promise<string> {
+  const { stdout } = await execCommand('ps', ['-A', '-o', 'pid=,ppid=']);
+  return stdout;
+}
+
+export async function getProcessTree(pids: number[], platform: string = process.platform, processList?: Promise<string>): Promise<number[]> {
+  // TaskKill /T already walks the tree on Windows.
+  if (platform === 'win32' || pids.length === 0) return pids;
+
+  return collectDescendants(pids, await (processList || getProcessList()));
+}
+
+export function getTaskKillArgs(pids: number[], signal: string, tree: boolean = false): string[] {
+  const args = signal === 'SIGKILL' ? ['/F'] : [];
+  if (tree) args.push('/T');
+  return [...args, ...pids.flatMap((pid) => ['/PID', String(pid)])];
+}
+
+export async function signalPids(pids: number[], signal: string, platform: string, tree: boolean = false): Promise<string | null> {
+  // Windows has no signals: TaskKill without /F asks the process to close, /T takes its children along.
+  if (platform === 'win32') {
+    const { stderr, code } = await execCommand('taskkill', getTaskKillArgs(pids, signal, tree));
+    return code ? (stderr.trim() || `taskkill exited with code ${code}`) : null;
+  }
+
+  const failures = pids.reduce((acc: string[], pid) => {
+    try {
+      process.kill(pid, signal);
+    } catch (error: any) {
+      // ESRCH: the process already exited, which is what we wanted.
+      if (error.code !== 'ESRCH') acc.push(`PID ${pid}: ${error.code === 'EPERM' ? 'permission denied' : (error as Error).message}`);
+    }
+    return acc;
+  }, []);
+
+  return failures.length ? `Failed to send ${signal} to ${failures.join(', ')}` : null;
+}
+
+async function arePortsFree(client: KillTarget, ports: number[]): Promise<boolean> {
+  try {
+    // One socket listing answers for every port of the group.
+    const snapshot = ports.length > 1 && client.snapshot ? await client.snapshot() : undefined;
+    for (const port of ports) {
+      if ((await client.findPids(port, snapshot)).length) return false;
+    }
+    return true;
+  } catch (error: any) {
+    return false;
+  }
+}
+
+async function sendSignal(client: KillTarget, ports: number[], pids: number[], signal: string, timeout: number, tree: boolean): Promise<KillStep> {
+  client.log(`Sending ${signal} to PID ${pids.join(', ')}`);
+
+  const error = await signalPids(pids, signal, client.platform, tree);
+  const started = Date.now();
+  let remaining = pids.filter(isAlive);
+  let portFreed = false;
+
+  while (true) {
+    portFreed = await arePortsFree(client, ports);
+    if ((remaining.length === 0 && portFreed) || Date.now() - started >= timeout) break;
+
+    await delay(POLL_INTERVAL);
+    remaining = remaining.filter(isAlive);
+  }
+
+  return {
+    signal,
+    pids,
+    exited: pids.filter((pid) => !remaining.includes(pid)),
+    remaining,
+    portFreed,
+    elapsed: Date.now() - started,
+    error,
+  };
+}
+
+export async function runKillPipeline(
+  client: KillTarget,
+  port: number | number[],
+  pids: number[],
+  { signal = 'SIGTERM', timeout = 5000, tree = false }: { signal?: string; timeout?: number; tree?: boolean } = {}
+): Promise<KillStep[]> {
+  const ports = Array.isArray(port) ? port : [port];
+  const steps = [await sendSignal(client, ports, pids, signal, timeout, tree)];
+  const [first] = steps;
+
+  if (signal === 'SIGKILL' || (first.remaining.length === 0 && first.portFreed)) {
+    return steps;
+  }
+
+  // Only the processes we already decided to kill are escalated; anything else holding the port is reported.
+  if (first.remaining.length > 0) {
+    steps.push(await sendSignal(client, ports, first.remaining, 'SIGKILL', timeout, tree));
+  }
+
+  return steps;
+}
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import { InvalidInputError } from './errors';
+import { PortSpec } from './types';
+
+const MIN_PORT = 1;
+const MAX_PORT = 65535;
+
+export const PROTOCOLS = ['tcp', 'udp'];
+
+export function parseProtocol(protocol: string): string {
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new InvalidInputError(`Invalid protocol: ${protocol} (expected ${PROTOCOLS.join(' or ')})`);
+  }
+  return protocol;
+}
+
+// Used when /etc/services is missing (Windows, slim containers) or lacks a development port.
+export const KNOWN_SERVICES: { [name: string]: number } = {
+  ftp: 21,
+  ssh: 22,
+  telnet: 23,
+  smtp: 25,
+  domain: 53,
+  dns: 53,
+  http: 80,
+  pop3: 110,
+  imap: 143,
+  ldap: 389,
+  https: 443,
+  submission: 587,
+  imaps: 993,
+  mssql: 1433,
+  mqtt: 1883,
+  mysql: 3306,
+  rdp: 3389,
+  postgres: 5432,
+  postgresql: 5432,
+  amqp: 5672,
+  redis: 6379,
+  'http-alt': 8080,
+  'https-alt': 8443,
+  elasticsearch: 9200,
+  memcached: 11211,
+  mongodb: 27017,
+};
+
+const servicesCache = new Map<string, Map<string, number>>();
+
+export function parseServices(content: string): Map<string, number> {
+  const services = new Map<string, number>();
+
+  for (const line of content.split('\n')) {
+    // name port/protocol [aliases...] [# comment]
+    const [name, portProtocol, ...aliases] = line.replace(/#.*$/, '').trim().split(/\s+/);
+    const match = (portProtocol || '').match(/^(\d+)\/(\w+)$/);
+    if (!match) continue;
+
+    for (const alias of [name, ...aliases]) {
+      const key = `${alias.toLowerCase()}/${match[2].toLowerCase()}`;
+      if (!services.has(key)) services.set(key, Number(match[1]));
+    }
+  }
+
+  return services;
+}
+
+function loadServices(file: string): Map<string, number> {
+  if (!servicesCache.has(file)) {
+    let content = '';
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error: any) {
+      // Fall back to KNOWN_SERVICES only.
+    }
+    servicesCache.set(file, parseServices(content));
+  }
+
+  return servicesCache.get(file) as Map<string, number>;
+}
+
+export function resolveService(name: string, protocol: string = 'tcp', servicesFile: string = '/etc/services'): number {
+  const key = name.toLowerCase();
+  const port = loadServices(servicesFile).get(`${key}/${protocol}`) ?? KNOWN_SERVICES[key];
+
+  if (port === undefined) {
+    throw new InvalidInputError(`Unknown service: ${name}`);
+  }
+  return port;
+}
+
+export function parsePortNumber(value: string | number): number {
+  const port = Number(value);
+
+  if (String(value).trim() === '' || !Number.isInteger(port) || port < MIN_PORT || port > MAX_PORT) {
+    throw new InvalidInputError(`Invalid port: ${value} (expected ${MIN_PORT}-${MAX_PORT})`);
+  }
+  return port;
+}
+
+export function parsePortRange(range: string | [number, number]): [number, number] {
+  const [start, end] = Array.isArray(range) ? range : range.split('-').map(Number);
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < MIN_PORT || end > MAX_PORT) {
+    throw new InvalidInputError(`Invalid port range: ${range} (ports must be between ${MIN_PORT} and ${MAX_PORT})`);
+  }
+  if (start > end) {
+    throw new InvalidInputError(`Invalid port range: ${range} (start is greater than end)`);
+  }
+
+  return [start, end];
+}
+
+function expandToken(token: string, protocol: string, servicesFile: string): number[] {
+  if (/^\d+$/.test(token)) {
+    return [parsePortNumber(token)];
+  }
+
+  if (/^\d+-\d+$/.test(token)) {
+    const [start, end] = parsePortRange(token);
+    return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  }
+
+  if (/^[a-z][\w.+-]*$/i.test(token)) {
+    return [resolveService(token, protocol, servicesFile)];
+  }
+
+  throw new InvalidInputError(`Invalid port: ${token}`);
+}
+
+export function parsePortSpec(
+  spec: PortSpec | null | undefined,
+  { protocol = 'tcp', servicesFile = '/etc/services' }: { protocol?: string; servicesFile?: string } = {}
+): number[] {
+  const tokens = (Array.isArray(spec) ? spec : [spec])
+    .filter((part) => part !== null && part !== undefined)
+    .flatMap((part) => String(part).split(/[\s,]+/))
+    .filter(Boolean);
+
+  const included = new Set<number>();
+  const excluded = new Set<number>();
+
+  for (const token of tokens) {
+    const exclusion = token.startsWith('!');
+    const ports = expandToken(exclusion ? token.slice(1) : token, protocol, servicesFile);
+
+    ports.forEach((port) => (exclusion ? excluded : included).add(port));
+  }
+
+  return [...included].filter((port) => !excluded.has(port));
+}
@@ -0,0 +1,122 @@
+import net from 'net';
+import tls from 'tls';
+import http from 'http';
+import https from 'https';
+import { parsePortSpec } from './port-spec';
+import { PortSpec, ProbeInfo } from './types';
+
+// Probing connects with net/tls directly rather than through is-port-reachable: v4 of that package is an
+// ES module the CommonJS build cannot require, and its boolean result has no latency, failure reason or TLS details.
+export interface ProbeTarget {
+  host: string;
+  port: number;
+}
+
+export interface ProbeOptions {
+  timeout?: number;
+  tls?: boolean;
+  httpPath?: string | null;
+  insecure?: boolean;
+}
+
+export function formatTarget(host: string, port: number): string {
+  return host.includes(':') ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+export function parseProbeTargets(spec: PortSpec, hosts: string[], { protocol = 'tcp', range = null }: { protocol?: string; range?: string | null } = {}): ProbeTarget[] {
+  const targets: ProbeTarget[] = [];
+  const add = (host: string, port: number) => {
+    if (!targets.some((target) => target.host === host && target.port === port)) targets.push({ host, port });
+  };
+
+  const bare: string[] = range ? [range] : [];
+  for (const element of (Array.isArray(spec) ? spec : [spec]).flatMap((part) => String(part).split(/\s+/)).filter(Boolean)) {
+    // host:spec, where the host has at least one non-digit (staging.local:80,443 or [::1]:8080)
+    const match = element.match(/^(\[[^\]]+\]|[^:]*[^\d:][^:]*):(.+)$/);
+    if (match) {
+      const host = match[1].replace(/^\[(.*)\]$/, '$1');
+      parsePortSpec(match[2], { protocol }).forEach((port) => add(host, port));
+    } else {
+      bare.push(element);
+    }
+  }
+
+  parsePortSpec(bare, { protocol }).forEach((port) => hosts.forEach((host) => add(host, port)));
+  return targets;
+}
+
+function connect(host: string, port: number, { timeout = 5000, tls: secure = false }: ProbeOptions): Promise<net.Socket> {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false })
+      : net.connect({ host, port });
+
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error(`Timed out after ${timeout}ms`));
+    });
+    socket.once('error', (error: NodeJS.ErrnoException) => {
+      socket.destroy();
+      reject(new Error(error.code || error.message));
+    });
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  });
+}
+
+function checkHealth(host: string, port: number, path: string, { timeout = 5000, tls: secure = false }: ProbeOptions): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const request = (secure ? https : http).get({
+      host,
+      port,
+      path,
+      agent: false,
+      rejectUnauthorized: false,
+      headers: { 'User-Agent': 'port-client' },
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode as number);
+    });
+
+    request.setTimeout(timeout, () => request.destroy(new Error(`Timed out after ${timeout}ms`)));
+    request.once('error', (error: NodeJS.ErrnoException) => reject(new Error(error.code || error.message)));
+  });
+}
+
+export async function probeTarget(host: string, port: number, options: ProbeOptions = {}): Promise<{ probe: ProbeInfo; error: string | null; connected: boolean }> {
+  const probe: ProbeInfo = { host, latency: null, tls: null, http: null };
+  const started = Date.now();
+
+  let socket: net.Socket;
+  try {
+    socket = await connect(host, port, options);
+  } catch (error: any) {
+    return { probe, error: (error as Error).message, connected: false };
+  }
+
+  probe.latency = Date.now() - started;
+  let error: string | null = null;
+
+  if (options.tls) {
+    const secure = socket as tls.TLSSocket;
+    const authorizationError = secure.authorizationError ? String(secure.authorizationError) : null;
+    probe.tls = { authorized: secure.authorized, protocol: secure.getProtocol(), error: authorizationError };
+    if (!secure.authorized && !options.insecure) {
+      error = `TLS certificate not trusted: ${authorizationError}`;
+    }
+  }
+  socket.destroy();
+
+  if (options.httpPath && !error) {
+    const requested = Date.now();
+    try {
+      const status = await checkHealth(host, port, options.httpPath, options);
+      probe.http = { path: options.httpPath, status, latency: Date.now() - requested };
+      if (status >= 400) error = `HTTP ${status} from ${options.httpPath}`;
+    } catch (httpError: any) {
+      probe.http = { path: options.httpPath, status: null, latency: Date.now() - requested };
+      error = `HTTP request to ${options.httpPath} failed: ${(httpError as Error).message}`;
+    }
+  }
+
+  return { probe, error, connected: true };
+}
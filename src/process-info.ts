@@ -0,0 +1,189 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execCommand } from './exec';
+import { parsePasswd } from './backends';
+import { ProcessInfo } from './types';
+
+export function parseElapsed(elapsed: string): number | null {
+  const match = elapsed.trim().match(/^(?:(\d+)-)?(?:(\d+):)?(\d+):(\d+)$/);
+  if (!match) return null;
+
+  const [, days = '0', hours = '0', minutes, seconds] = match;
+  return ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds);
+}
+
+export function parseWmicDate(value: string): Date | null {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\.\d+([+-]\d+)$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, offset] = match;
+  const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  return new Date(utc - Number(offset) * 60 * 1000);
+}
+
+export function parsePsOutput(stdout: string, now: number = Date.now()): ProcessInfo[] {
+  return stdout.split('\n').reduce((acc: ProcessInfo[], line: string) => {
+    const match = line.match(/^\s*(\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+(\S+)\s+(.*)$/);
+    if (!match) return acc;
+
+    const [, pid, ppid, uid, user, elapsed, args] = match;
+    const uptime = parseElapsed(elapsed);
+    acc.push({
+      pid: Number(pid),
+      // Replaced by the comm name when it could be read; the executable is the best guess until then.
+      name: args.trim().split(/\s+/)[0].split('/').pop() as string,
+      command: args.trim(),
+      user,
+      uid: Number(uid),
+      cwd: null,
+      ppid: Number(ppid),
+      startTime: uptime === null ? null : new Date(now - uptime * 1000),
+      uptime,
+    });
+    return acc;
+  }, []);
+}
+
+// comm may contain spaces ("my server"), so it is queried on its own with the PID as the only other column.
+export function parsePsNames(stdout: string): Map<number, string> {
+  const names = new Map<number, string>();
+
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^\s*(\d+)\s(.+)$/);
+    if (match) names.set(Number(match[1]), (match[2].trim().split('/').pop() as string));
+  }
+
+  return names;
+}
+
+// procps cuts user names longer than 8 characters down to "abcdefg+"; the uid gives the full name back.
+export function restoreUserNames(processes: ProcessInfo[], users: Map<number, string>): ProcessInfo[] {
+  processes.forEach((info) => {
+    if (info.user && info.user.endsWith('+') && info.uid !== null && users.has(info.uid)) {
+      info.user = users.get(info.uid) as string;
+    }
+  });
+  return processes;
+}
+
+function readUsers(): Map<number, string> {
+  let users = new Map<number, string>();
+  try {
+    users = parsePasswd(fs.readFileSync('/etc/passwd', 'utf8'));
+  } catch (error: any) {
+    // Users come from elsewhere (LDAP, macOS directory services); the current one is still known.
+  }
+
+  const { uid, username } = os.userInfo();
+  users.set(uid, username);
+  return users;
+}
+
+// What /proc still tells about a process when ps cannot be run, as on slim images without procps.
+export function readProcIdentity(pid: number, procRoot: string = '/proc'): { name: string; uid: number } | null {
+  try {
+    const name = fs.readFileSync(path.join(procRoot, String(pid), 'comm'), 'utf8').trim();
+    const { uid } = fs.statSync(path.join(procRoot, String(pid)));
+    return name ? { name, uid } : null;
+  } catch (error: any) {
+    return null;
+  }
+}
+
+export function parseLsofCwd(stdout: string): Map<number, string> {
+  const cwds = new Map<number, string>();
+  let pid = 0;
+
+  for (const line of stdout.split('\n')) {
+    if (line.startsWith('p')) {
+      pid = Number(line.slice(1));
+    } else if (line.startsWith('n') && pid) {
+      cwds.set(pid, line.slice(1));
+    }
+  }
+
+  return cwds;
+}
+
+export function parseTasklistOutput(stdout: string): ProcessInfo[] {
+  return stdout.split('\n').reduce((acc: ProcessInfo[], line: string) => {
+    const columns = (line.match(/"[^"]*"/g) || []).map((column) => column.slice(1, -1));
+    if (columns.length < 7 || !Number(columns[1])) return acc;
+
+    acc.push({
+      pid: Number(columns[1]),
+      name: columns[0],
+      command: columns[0],
+      user: columns[6] === 'N/A' ? null : columns[6],
+      uid: null,
+      cwd: null,
+      ppid: null,
+      startTime: null,
+      uptime: null,
+    });
+    return acc;
+  }, []);
+}
+
+export function mergeWmicOutput(processes: ProcessInfo[], stdout: string, now: number = Date.now()): ProcessInfo[] {
+  const byPid = new Map(processes.map((info) => [info.pid, info]));
+
+  for (const line of stdout.split('\n')) {
+    // Node,CommandLine,CreationDate,ParentProcessId,ProcessId - the command line may contain commas.
+    const columns = line.trim().split(',');
+    if (columns.length < 5) continue;
+
+    const info = byPid.get(Number(columns[columns.length - 1]));
+    if (!info) continue;
+
+    const command = columns.slice(1, -3).join(',');
+    const startTime = parseWmicDate(columns[columns.length - 3]);
+    info.command = command || info.command;
+    info.ppid = Number(columns[columns.length - 2]) || null;
+    info.startTime = startTime;
+    info.uptime = startTime ? Math.max(0, Math.round((now - startTime.getTime()) / 1000)) : null;
+  }
+
+  return processes;
+}
+
+async function getUnixProcessInfo(pids: number[]): Promise<ProcessInfo[]> {
+  const list = pids.join(',');
+  const { stdout } = await execCommand('ps', ['-o', 'pid=,ppid=,uid=,user=,etime=,args=', '-p', list]);
+  const processes = restoreUserNames(parsePsOutput(stdout), readUsers());
+
+  const { stdout: nameOutput } = await execCommand('ps', ['-o', 'pid=,comm=', '-p', list]);
+  const names = parsePsNames(nameOutput);
+  processes.forEach((info) => {
+    info.name = names.get(info.pid) || info.name;
+  });
+
+  const { stdout: cwdOutput } = await execCommand('lsof', ['-a', '-d', 'cwd', '-p', list, '-Fpn']);
+  const cwds = parseLsofCwd(cwdOutput);
+  processes.forEach((info) => {
+    info.cwd = cwds.get(info.pid) || null;
+  });
+
+  return processes;
+}
+
+async function getWindowsProcessInfo(pids: number[]): Promise<ProcessInfo[]> {
+  const { stdout } = await execCommand('tasklist', ['/V', '/FO', 'CSV', '/NH']);
+  const processes = parseTasklistOutput(stdout).filter((info) => pids.includes(info.pid));
+
+  const { stdout: wmicOutput } = await execCommand('wmic', ['process', 'get', 'ProcessId,ParentProcessId,CommandLine,CreationDate', '/format:csv']);
+  return mergeWmicOutput(processes, wmicOutput);
+}
+
+export async function getProcessInfo(pids: number[], platform: string = process.platform): Promise<ProcessInfo[]> {
+  if (pids.length === 0) return [];
+
+  try {
+    return platform === 'win32'
+      ? await getWindowsProcessInfo(pids)
+      : await getUnixProcessInfo(pids);
+  } catch (error: any) {
+    throw new Error(`Failed to get process details: ${(error as Error).message}`);
+  }
+}
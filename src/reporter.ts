@@ -0,0 +1,261 @@
+import { InvalidInputError } from './errors';
+import { formatTarget } from './probe';
+import { ConnectionSummary, ContainerInfo, HistoryEntry, KillStep, PortResult, ProbeInfo, ProcessInfo, Reporter, WatchEvent } from './types';
+
+export function success(message: string): void {
+  console.log('\x1b[32m%s\x1b[0m', `${message}`);
+}
+
+export function error(message: string): void {
+  console.log('\x1b[31m%s\x1b[0m', `${message}`);
+}
+
+export function formatDuration(seconds: number | null): string {
+  if (seconds === null) return 'unknown';
+
+  let remaining = seconds;
+  const units: [string, number][] = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = units.reduce((acc: string[], [unit, size]) => {
+    const value = Math.floor(remaining / size);
+    remaining %= size;
+    if (value) acc.push(`${value}${unit}`);
+    return acc;
+  }, []);
+
+  return parts.slice(0, 2).join(' ') || '0s';
+}
+
+export function formatProcess(info: ProcessInfo): string {
+  const owner = info.user ? ` [${info.user}]` : '';
+  const parent = info.ppid ? `, ppid ${info.ppid}` : '';
+  const cwd = info.cwd ? `, cwd ${info.cwd}` : '';
+  return `  PID ${info.pid} ${info.name}${owner}${parent}, up ${formatDuration(info.uptime)}${cwd}\n    ${info.command}`;
+}
+
+export function formatContainer(container: ContainerInfo): string {
+  return `${container.name} (${container.id.slice(0, 12)}, ${container.image})`;
+}
+
+export function formatStep(step: KillStep): string {
+  const outcome = step.error
+    ? step.error
+    : `${step.exited.length}/${step.pids.length} exited in ${step.elapsed}ms, port ${step.portFreed ? 'free' : 'still in use'}`;
+  return step.pids.length ? `  ${step.signal} -> PID ${step.pids.join(', ')}: ${outcome}` : `  ${step.signal}: ${outcome}`;
+}
+
+export function formatWatchEvent(event: WatchEvent): string {
+  const owners = event.processes.map((info) => `${info.pid} (${info.name})`).join(', ') || event.pids.join(', ');
+  const time = event.timestamp.toISOString();
+
+  switch (event.type) {
+    case 'bound':
+      return `[${time}] Port ${event.port} bound by PID ${owners}`;
+    case 'released':
+      return `[${time}] Port ${event.port} released by PID ${owners}`;
+    default:
+      return `[${time}] Port ${event.port} changed owner from PID ${event.previousPids.join(', ')} to ${owners}`;
+  }
+}
+
+export function formatProbe(result: PortResult, probe: ProbeInfo): string {
+  const target = formatTarget(probe.host, result.port);
+  const details = [`${probe.latency}ms`];
+  if (probe.tls) details.push(probe.tls.protocol || 'TLS');
+  if (probe.http) details.push(`HTTP ${probe.http.status} in ${probe.http.latency}ms`);
+
+  switch (result.status) {
+    case 'active':
+      return `${target} is reachable (${details.join(', ')})`;
+    case 'inactive':
+      return `${target} is not reachable: ${result.error}`;
+    case 'dry-run':
+      return `${target} would be probed`;
+    default:
+      return `${target} is reachable (${details[0]}) but failed: ${result.error}`;
+  }
+}
+
+export function formatPlan(result: PortResult): string {
+  const { port } = result;
+  if (result.action !== 'kill') return `Would ${result.action} port ${port}`;
+  if (!result.success) return `Would fail to kill port ${port}: ${result.error}`;
+  if (result.containers.length) {
+    return `Would stop container ${result.containers.map(formatContainer).join(', ')} to free port ${port}`;
+  }
+
+  const [first, escalation] = result.steps;
+  const then = escalation ? `, then ${escalation.signal} to whatever is left after the timeout` : '';
+  return `Would kill port ${port} with ${first.signal} (PID ${first.pids.join(', ')})${then}`;
+}
+
+export function formatConnections(connections: ConnectionSummary): string {
+  const parts = Object.entries(connections.states)
+    .filter(([state]) => state !== 'LISTEN' && state !== 'UNCONN')
+    .map(([state, count]) => `${count} ${state}`);
+  if (connections.clients.length) {
+    parts.push(`${connections.clients.length} local client${connections.clients.length === 1 ? '' : 's'} (PID ${connections.clients.join(', ')})`);
+  }
+  return parts.join(', ');
+}
+
+export function formatResult(result: PortResult): string {
+  const { port, status } = result;
+  if (result.probe) return formatProbe(result, result.probe);
+
+  switch (status) {
+    case 'active': {
+      const connections = result.connections ? formatConnections(result.connections) : '';
+      return connections ? `Port ${port} is active: ${connections}.` : `Port ${port} is active.`;
+    }
+    case 'inactive': {
+      const lingering = result.connections ? result.connections.states.TIME_WAIT : 0;
+      return lingering
+        ? `Port ${port} is not active, but ${lingering} closed connection(s) are in TIME_WAIT until the kernel releases them.`
+        : `Port ${port} is not active.`;
+    }
+    case 'killed':
+      if (result.containers.length) {
+        return `Stopped container ${result.containers.map(formatContainer).join(', ')} to free port ${port}`;
+      }
+      return `Successfully killed port ${port} (PID ${result.pids.join(', ')}, ${result.signal})`;
+    case 'not-found':
+    case 'failed':
+      return `Failed to kill port ${port}: ${result.error}`;
+    case 'dry-run':
+      return formatPlan(result);
+    default:
+      return `Error checking port ${port}: ${result.error}`;
+  }
+}
+
+function formatColumns(header: string[], rows: string[][]): string {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  return [header, ...rows]
+    .map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+export function formatTable(results: PortResult[]): string {
+  return formatColumns(['PORT', 'PROTOCOL', 'STATUS', 'PIDS', 'SIGNAL', 'ERROR'], results.map((result) => [
+    result.probe ? formatTarget(result.probe.host, result.port) : String(result.port),
+    result.protocol,
+    result.status,
+    result.pids.join(',') || '-',
+    result.signal || '-',
+    result.error || '',
+  ]));
+}
+
+export function formatHistoryEntry(entry: HistoryEntry): string {
+  const target = entry.pid === null ? '' : ` PID ${entry.pid}${entry.name ? ` (${entry.name})` : ''}`;
+  const outcome = entry.success ? `killed with ${entry.signal}` : `failed: ${entry.error}`;
+  return `[${entry.time}] ${entry.user} in ${entry.cwd}: port ${entry.port}${target} ${outcome}${entry.command ? `\n    ${entry.command}` : ''}`;
+}
+
+export function printHistory(entries: HistoryEntry[], output: string = 'plain'): void {
+  switch (output) {
+    case 'json':
+      console.log(JSON.stringify(entries, null, 2));
+      break;
+    case 'ndjson':
+      entries.forEach((entry) => console.log(JSON.stringify(entry)));
+      break;
+    case 'table':
+      console.log(formatColumns(['TIME', 'USER', 'PORT', 'PID', 'NAME', 'SIGNAL', 'STATUS', 'CWD'], entries.map((entry) => [
+        entry.time,
+        entry.user,
+        String(entry.port),
+        entry.pid === null ? '-' : String(entry.pid),
+        entry.name || '-',
+        entry.signal || '-',
+        entry.status,
+        entry.cwd,
+      ])));
+      break;
+    default:
+      entries.forEach((entry) => console.log(formatHistoryEntry(entry)));
+  }
+}
+
+export const consoleReporter: Reporter = {
+  info: success,
+  event(event: WatchEvent): void {
+    success(formatWatchEvent(event));
+  },
+  result(result: PortResult): void {
+    const message = formatResult(result);
+    result.success ? success(message) : error(message);
+    result.processes.forEach((info) => console.log(formatProcess(info)));
+    if (result.status === 'active') {
+      result.containers.forEach((container) => console.log(`  container ${formatContainer(container)}`));
+    }
+    if (result.status !== 'dry-run' && (result.steps.length > 1 || !result.success)) {
+      result.steps.forEach((step) => console.log(formatStep(step)));
+    }
+    if (result.success || result.status === 'dry-run') {
+      result.excluded.forEach(({ pid, name, reason }) => console.log(`  skipped PID ${pid}${name ? ` ${name}` : ''}: ${reason}`));
+    }
+  },
+};
+
+export const silentReporter: Reporter = {
+  info() {},
+  result() {},
+  event() {},
+};
+
+export const ndjsonReporter: Reporter = {
+  info() {},
+  result(result: PortResult): void {
+    console.log(JSON.stringify(result));
+  },
+  event(event: WatchEvent): void {
+    console.log(JSON.stringify(event));
+  },
+};
+
+export const OUTPUT_FORMATS = ['plain', 'json', 'ndjson', 'table'];
+
+export function createReporter(output: string = 'plain'): Reporter {
+  switch (output) {
+    case 'plain':
+      return consoleReporter;
+    case 'ndjson':
+      return ndjsonReporter;
+    case 'json':
+    case 'table':
+      // Both need every result before printing anything, see printResults.
+      return silentReporter;
+    default:
+      throw new InvalidInputError(`Unknown output format: ${output} (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
+
+export function printResults(results: PortResult[], output: string = 'plain'): void {
+  if (output === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (output === 'table') {
+    console.log(formatTable(results));
+  }
+}
+
+export const EXIT_CODES = {
+  success: 0,
+  inUse: 1,
+  killFailed: 2,
+  invalidInput: 3,
+};
+
+export function getExitCode(results: PortResult[], action: string): number {
+  const failed = results.some((result) => !result.success);
+
+  switch (action) {
+    case 'kill':
+      return failed ? EXIT_CODES.killFailed : EXIT_CODES.success;
+    case 'check':
+    case 'isExist':
+      return failed || results.some((result) => result.status === 'active') ? EXIT_CODES.inUse : EXIT_CODES.success;
+    default:
+      return failed ? EXIT_CODES.inUse : EXIT_CODES.success;
+  }
+}
@@ -0,0 +1,122 @@
+import path from 'path';
+import { spawn } from 'child_process';
+import { findExecutable, getEnv } from './exec';
+import { waitForState } from './wait';
+import { InvalidInputError } from './errors';
+import { PortResult, RunResult } from './types';
+
+interface PortRunner {
+  checkPortStatus(port: number): Promise<boolean>;
+  killPorts(ports: number[], options?: { confirm?: boolean }): Promise<PortResult[]>;
+  log(message: string): void;
+}
+
+const FORWARDED_SIGNALS: NodeJS.Signals[] = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+// Characters cmd.exe interprets even inside an argument list; each is escaped with ^.
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+// How long the port may stay bound after the command exited before leftovers are killed.
+const RELEASE_TIMEOUT = 1000;
+
+async function findBusy(client: PortRunner, ports: number[]): Promise<number[]> {
+  const busy: number[] = [];
+  for (const port of ports) {
+    // Running the command on a port that could not be checked would hide the lookup error behind EADDRINUSE.
+    const isBusy = await client.checkPortStatus(port).catch((error: Error) => {
+      throw new Error(`Could not check port ${port}: ${error.message}`);
+    });
+    if (isBusy) busy.push(port);
+  }
+  return busy;
+}
+
+export interface ResolvedCommand {
+  file: string;
+  args: string[];
+  verbatim: boolean;
+}
+
+interface ResolveOptions {
+  platform?: string;
+  env?: NodeJS.ProcessEnv;
+  exists?: (file: string) => boolean;
+}
+
+function escapeCommand(file: string): string {
+  return file.replace(CMD_META_CHARS, '^$1');
+}
+
+// Quotes for the C runtime's argument parser, then escapes for cmd.exe. Batch files that forward %*
+// (as the npm, npx and yarn shims do) make cmd.exe parse the arguments a second time.
+function escapeArgument(arg: string): string {
+  const quoted = `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  return quoted.replace(CMD_META_CHARS, '^$1').replace(CMD_META_CHARS, '^$1');
+}
+
+/**
+ * npm, yarn and npx are .cmd shims on Windows, which CreateProcess cannot start. They are looked up
+ * through PATHEXT and run with `cmd.exe /d /s /c`, every argument quoted and escaped, so the command
+ * line is never interpreted by a shell the way `shell: true` would.
+ */
+export function resolveCommand([file, ...args]: string[], { platform = process.platform, env = process.env, exists }: ResolveOptions = {}): ResolvedCommand {
+  const resolved = platform === 'win32' ? findExecutable(file, platform, env, exists) : null;
+  if (!resolved || !/\.(cmd|bat)$/i.test(resolved)) {
+    return { file, args, verbatim: false };
+  }
+
+  const commandLine = [escapeCommand(path.win32.normalize(resolved)), ...args.map(escapeArgument)].join(' ');
+  return { file: getEnv(env, 'COMSPEC', platform) || 'cmd.exe', args: ['/d', '/s', '/c', `"${commandLine}"`], verbatim: true };
+}
+
+export function spawnForwardingSignals(command: string[]): Promise<{ code: number | null; signal: string | null }> {
+  return new Promise((resolve, reject) => {
+    const [file] = command;
+    const resolved = resolveCommand(command);
+    const child = spawn(resolved.file, resolved.args, { stdio: 'inherit', windowsVerbatimArguments: resolved.verbatim });
+
+    const forward = (signal: NodeJS.Signals) => child.kill(signal);
+    const cleanup = () => FORWARDED_SIGNALS.forEach((signal) => process.removeListener(signal, forward));
+    FORWARDED_SIGNALS.forEach((signal) => process.on(signal, forward));
+
+    child.once('error', (error: NodeJS.ErrnoException) => {
+      cleanup();
+      reject(error.code === 'ENOENT' ? new Error(`Command not found: ${file}`) : error);
+    });
+    child.once('exit', (code, signal) => {
+      cleanup();
+      resolve({ code, signal });
+    });
+  });
+}
+
+export async function runCommand(client: PortRunner, ports: number[], command: string[]): Promise<RunResult> {
+  if (ports.length === 0) {
+    throw new InvalidInputError('Invalid or no port(s) provided.');
+  }
+  if (command.length === 0) {
+    throw new InvalidInputError('No command given to run');
+  }
+
+  const busy = await findBusy(client, ports);
+  const freed = busy.length ? await client.killPorts(busy) : [];
+  const failed = freed.find((result) => !result.success);
+  if (failed) {
+    throw new Error(`Could not free port ${failed.port}: ${failed.error}`);
+  }
+
+  client.log(`Starting: ${command.join(' ')}`);
+  const { code, signal } = await spawnForwardingSignals(command);
+
+  let leftovers: PortResult[] = [];
+  const held = await Promise.all(ports.map((port) => waitForState(client, port, false, { timeout: RELEASE_TIMEOUT, interval: 100 })
+    .then(() => null, () => port)));
+  const stillBound = held.filter((port): port is number => port !== null);
+  if (stillBound.length) {
+    // Children that outlived the command (watchers, forked servers) would keep the port for the next run.
+    client.log(`Port ${stillBound.join(', ')} still in use after the command exited, killing what is left`);
+    leftovers = await client.killPorts(stillBound, { confirm: false });
+  }
+
+  return { ports, code, signal, freed, leftovers };
+}
@@ -0,0 +1,150 @@
+import os from 'os';
+import readline from 'readline';
+import { execCommand } from './exec';
+import { ExcludedProcess, ProcessInfo } from './types';
+
+export const DEFAULT_PROTECTED = [
+  'init',
+  'systemd',
+  'launchd',
+  'sshd',
+  'postgres',
+  'postmaster',
+  'mysqld',
+  'dockerd',
+  'containerd',
+  'docker-proxy',
+  'rootlesskit',
+  'com.docker.backend',
+  'kernel_task',
+  'WindowServer',
+  'loginwindow',
+  'System',
+  'smss',
+  'csrss',
+  'wininit',
+  'winlogon',
+  'services',
+  'lsass',
+  'svchost',
+];
+
+export interface SafetyContext {
+  protect: string[];
+  allow: string[];
+  user: string;
+  uid: number | null;
+  forceOtherUsers: boolean;
+  force: boolean;
+  ancestors: number[];
+}
+
+const normalizeName = (name: string) => name.toLowerCase().replace(/\.exe$/, '');
+const normalizeUser = (user: string) => user.split('\\').pop()!.toLowerCase();
+
+export function getInvokingUser(): string {
+  const { username } = os.userInfo();
+  return username === 'root' && process.env.SUDO_USER ? process.env.SUDO_USER : username;
+}
+
+// Windows has no uids (os.userInfo() reports -1), so ownership is compared by user name there.
+export function getInvokingUid(platform: string = process.platform): number | null {
+  if (platform === 'win32') return null;
+  const { uid } = os.userInfo();
+  return uid === 0 && process.env.SUDO_UID ? Number(process.env.SUDO_UID) : uid;
+}
+
+export function collectAncestors(pid: number, processList: string): number[] {
+  const parents = new Map<number, number>();
+  for (const line of processList.split('\n')) {
+    const [child, parent] = line.trim().split(/\s+/).map(Number);
+    if (child) parents.set(child, parent);
+  }
+
+  const ancestors = [pid];
+  let current = parents.get(pid);
+  while (current && !ancestors.includes(current)) {
+    ancestors.push(current);
+    current = parents.get(current);
+  }
+
+  return ancestors;
+}
+
+export async function getAncestors(platform: string = process.platform): Promise<number[]> {
+  if (platform === 'win32') return [process.pid, process.ppid];
+
+  try {
+    const { stdout } = await execCommand('ps', ['-A', '-o', 'pid=,ppid=']);
+    const ancestors = collectAncestors(process.pid, stdout);
+    return ancestors.includes(process.ppid) ? ancestors : [...ancestors, process.ppid];
+  } catch (error: any) {
+    return [process.pid, process.ppid];
+  }
+}
+
+export function getExclusionReason(pid: number, info: ProcessInfo | undefined, context: SafetyContext): string | null {
+  if (pid === 1) {
+    return 'PID 1 is protected';
+  }
+  if (context.ancestors.includes(pid)) {
+    return pid === process.pid ? 'refusing to kill port-client itself' : 'refusing to kill a parent of port-client';
+  }
+  if (context.protect.includes(String(pid))) {
+    return `PID ${pid} is protected`;
+  }
+
+  // Without a name and owner the deny-list and other-user rules cannot be checked, so fail closed.
+  if (!info) {
+    return context.force ? null : 'could not be identified (use --force to kill it)';
+  }
+
+  const name = normalizeName(info.name);
+  const allowed = context.allow.map(normalizeName);
+  const protectedNames = [...DEFAULT_PROTECTED, ...context.protect].map(normalizeName);
+  if (protectedNames.includes(name) && !allowed.includes(name)) {
+    return `${info.name} is a protected process`;
+  }
+
+  // User names can be shortened by ps, so the uid decides when both sides have one.
+  const otherUser = typeof info.uid === 'number' && typeof context.uid === 'number'
+    ? info.uid !== context.uid
+    : !!info.user && normalizeUser(info.user) !== normalizeUser(context.user);
+  if (otherUser && !context.forceOtherUsers) {
+    return `owned by ${info.user || `uid ${info.uid}`} (use --force-other-users to kill it)`;
+  }
+
+  return null;
+}
+
+export function partitionPids(pids: number[], processes: ProcessInfo[], context: SafetyContext): { allowed: number[]; excluded: ExcludedProcess[] } {
+  const allowed: number[] = [];
+  const excluded: ExcludedProcess[] = [];
+
+  for (const pid of pids) {
+    const info = processes.find((candidate) => candidate.pid === pid);
+    const reason = getExclusionReason(pid, info, context);
+    if (reason) {
+      excluded.push({ pid, name: info ? info.name : null, reason });
+    } else {
+      allowed.push(pid);
+    }
+  }
+
+  return { allowed, excluded };
+}
+
+export function confirmKill(lines: string[]): Promise<boolean> {
+  return new Promise((resolve) => {
+    // The prompt goes to stderr so it never mixes with --output json on stdout.
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+
+    console.error('The following processes will be killed:');
+    lines.forEach((line) => console.error(line));
+
+    rl.question('Continue? [y/N] ', (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
@@ -1 +0,0 @@
-declare module 'shell-exec';
@@ -0,0 +1,153 @@
+import { ConnectionSummary, SocketInfo } from './types';
+
+const WINDOWS_STATES: { [state: string]: string } = {
+  LISTENING: 'LISTEN',
+  SYN_RECEIVED: 'SYN_RECV',
+};
+
+const WILDCARD_ADDRESSES = ['*', '0.0.0.0', '::', ''];
+
+export interface SocketMatch {
+  port: number;
+  protocol: string;
+  family?: number | null;
+  host?: string | null;
+}
+
+export function splitAddress(address: string): { address: string; port: number | null } {
+  // Linux and Windows use host:port, macOS netstat uses host.port.
+  for (const separator of [':', '.']) {
+    const index = address.lastIndexOf(separator);
+    const port = Number(address.slice(index + 1));
+    if (index !== -1 && address.slice(index + 1) !== '*' && Number.isInteger(port)) {
+      return { address: address.slice(0, index), port };
+    }
+  }
+
+  return { address, port: null };
+}
+
+export function normalizeAddress(address: string): string {
+  // A dual-stack listener sees IPv4 peers as IPv4-mapped IPv6 addresses (::ffff:127.0.0.1).
+  const bare = address.replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+  return WILDCARD_ADDRESSES.includes(bare) ? '*' : bare.toLowerCase();
+}
+
+export function addressFamily(address: string, protocolColumn: string = ''): 'IPv4' | 'IPv6' {
+  return /6$/.test(protocolColumn) || address.replace(/^\[|\]$/g, '').includes(':') ? 'IPv6' : 'IPv4';
+}
+
+export function hostAddresses(host: string): string[] {
+  return host === 'localhost' ? ['127.0.0.1', '::1'] : [normalizeAddress(host)];
+}
+
+export function matchesSocket(socket: SocketInfo, { port, protocol, family = null, host = null }: SocketMatch): boolean {
+  if (socket.protocol !== protocol || socket.localPort !== port) return false;
+  if (family && socket.family !== `IPv${family}`) return false;
+  if (host && !hostAddresses(host).includes(normalizeAddress(socket.localAddress))) return false;
+  return true;
+}
+
+export function isListening(socket: SocketInfo): boolean {
+  return socket.state === 'LISTEN' || (socket.protocol === 'udp' && !socket.remoteAddress);
+}
+
+// Closed connections the kernel keeps for a while. No process owns them, so there is nothing to kill.
+export function isLingering(socket: SocketInfo): boolean {
+  return socket.state === 'TIME_WAIT';
+}
+
+export function holdsPort(socket: SocketInfo, match: SocketMatch): boolean {
+  return matchesSocket(socket, match) && !isLingering(socket);
+}
+
+function endpoint(address: string, port: number | null): string {
+  return `${normalizeAddress(address)}:${port}`;
+}
+
+export function summarizeConnections(sockets: SocketInfo[], match: SocketMatch): ConnectionSummary {
+  const summary: ConnectionSummary = { listeners: [], clients: [], states: {} };
+  const add = (pids: number[], pid: number | null) => {
+    if (pid && !pids.includes(pid)) pids.push(pid);
+  };
+
+  // Peers of the connections accepted on the port; a local socket at one of them is a client.
+  const peers = new Set<string>();
+  for (const socket of sockets.filter((candidate) => matchesSocket(candidate, match))) {
+    const state = socket.state || (socket.protocol === 'udp' ? 'UNCONN' : 'UNKNOWN');
+    summary.states[state] = (summary.states[state] || 0) + 1;
+    if (isListening(socket)) add(summary.listeners, socket.pid);
+    if (socket.remoteAddress && !isLingering(socket)) {
+      const remote = splitAddress(socket.remoteAddress);
+      peers.add(endpoint(remote.address, remote.port));
+    }
+  }
+
+  sockets
+    .filter((socket) => socket.protocol === match.protocol && socket.localPort !== match.port && peers.has(endpoint(socket.localAddress, socket.localPort)))
+    .forEach((socket) => add(summary.clients, socket.pid));
+  return summary;
+}
+
+export function parseLsofSockets(stdout: string): SocketInfo[] {
+  return stdout.split('\n').reduce((acc: SocketInfo[], line: string) => {
+    // COMMAND PID USER FD TYPE DEVICE SIZE/OFF NODE NAME
+    const columns = line.trim().split(/\s+/);
+    if (columns.length < 9 || !Number(columns[1])) return acc;
+
+    const [command, pid, user, , family, , , protocol, ...name] = columns;
+    const stateMatch = name.join(' ').match(/\(([A-Z_]+)\)$/);
+    const [local, remote = null] = name[0].split('->');
+    const localAddress = splitAddress(local);
+
+    acc.push({
+      protocol: protocol.toLowerCase(),
+      family: family === 'IPv6' ? 'IPv6' : 'IPv4',
+      localAddress: localAddress.address,
+      localPort: localAddress.port,
+      remoteAddress: remote,
+      state: stateMatch ? stateMatch[1] : null,
+      pid: Number(pid),
+      command: command.replace(/\\x20/g, ' '),
+      user,
+    });
+    return acc;
+  }, []);
+}
+
+export function parseNetstatSockets(stdout: string): SocketInfo[] {
+  return stdout.split('\n').reduce((acc: SocketInfo[], line: string) => {
+    const columns = line.trim().split(/\s+/);
+    const protocolMatch = (columns[0] || '').toLowerCase().match(/^(tcp|udp)(4|6|46)?$/);
+    if (!protocolMatch || columns.length < 3) return acc;
+
+    // Unix: Proto Recv-Q Send-Q Local Foreign [State] [PID/Program name (Linux -p)]
+    // Windows: Proto Local Foreign [State] [PID]
+    const unixLayout = /^\d+$/.test(columns[1]) && /^\d+$/.test(columns[2]);
+    const [local, remote, ...rest] = unixLayout ? columns.slice(3) : columns.slice(1);
+    if (!local) return acc;
+
+    const owner = rest.length ? rest[rest.length - 1].match(/^(\d+)(?:\/(.*))?$|^-$/) : null;
+    const state = owner ? rest[rest.length - 2] : rest[rest.length - 1];
+    const pid = owner && owner[1] ? Number(owner[1]) : null;
+    const normalizedState = state ? (WINDOWS_STATES[state] || state) : null;
+    const localAddress = splitAddress(local);
+
+    acc.push({
+      protocol: protocolMatch[1],
+      family: addressFamily(localAddress.address, columns[0]),
+      localAddress: localAddress.address,
+      localPort: localAddress.port,
+      remoteAddress: !remote || /^(\*:\*|\*\.\*|0\.0\.0\.0:\*|:::\*|\[::\]:0|0\.0\.0\.0:0)$/.test(remote) ? null : remote,
+      state: normalizedState,
+      pid,
+      command: owner && owner[2] ? owner[2] : null,
+      user: null,
+    });
+    return acc;
+  }, []);
+}
+
+export function getLsofSelector(match: SocketMatch): string {
+  return `${match.family || ''}${match.protocol}:${match.port}`;
+}
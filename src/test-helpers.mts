@@ -0,0 +1,2 @@
+// ES module entry point of `port-client/test`, re-exporting the CommonJS build like index.mts.
+export * from './test-helpers.js';
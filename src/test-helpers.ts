@@ -0,0 +1,234 @@
+import net from 'net';
+import dgram from 'dgram';
+import { PortClient } from './index';
+import { findFreePort, FreePortOptions, getLeaseDir, releasePort } from './free-port';
+import { delay } from './utils';
+import { InvalidInputError, LeakedListenerError } from './errors';
+import { LeakedListener, PortClientOptions, PortResult, PortSpec, ProcessInfo } from './types';
+
+export interface FreePortsSetupOptions extends PortClientOptions {
+  assert?: boolean;
+}
+
+export interface LeakCheckOptions extends PortClientOptions {
+  grace?: number;
+}
+
+interface TestHooks {
+  beforeAll(fn: () => Promise<void>): void;
+  afterAll(fn: () => Promise<void>): void;
+}
+
+type Handle = net.Server | dgram.Socket;
+
+const listenStacks = new Map<Handle, string>();
+let instrumented = 0;
+let originalListen: typeof net.Server.prototype.listen;
+let originalBind: typeof dgram.Socket.prototype.bind;
+
+function describeOwners({ pids, processes }: { pids: number[]; processes: ProcessInfo[] }): string {
+  return processes.map((info) => `${info.pid} (${info.name})`).join(', ') || pids.join(', ');
+}
+
+/**
+ * Returns a Jest or Vitest globalSetup function that frees `ports` before the suites run, or with
+ * `assert: true` fails when one of them is already in use. Without ports, the project config's are used.
+ */
+export function freePortsSetup(ports: PortSpec | null = null, { assert = false, ...options }: FreePortsSetupOptions = {}): () => Promise<void> {
+  // Vitest treats a returned function as the teardown, so the setup resolves to nothing.
+  return async () => {
+    const client = new PortClient(ports, { reporter: false, ...options, details: true });
+    const requested = client.parsePorts();
+    if (requested.length === 0) {
+      throw new InvalidInputError('Invalid or no port(s) provided.');
+    }
+
+    const busy = await client.findBusyPorts(requested);
+    if (busy.length === 0) return;
+
+    if (assert) {
+      const held = (await client.showPortInfo(busy)).filter((result) => result.status === 'active');
+      if (held.length) {
+        throw new Error(`Port already in use before the tests: ${held.map((result) => `${result.port} (PID ${describeOwners(result)})`).join(', ')}`);
+      }
+      return;
+    }
+
+    const failed = (await client.killPorts(busy, { confirm: false })).find((result) => !result.success);
+    if (failed) {
+      throw new Error(`Could not free port ${failed.port} before the tests: ${failed.error}`);
+    }
+  };
+}
+
+/**
+ * Runs `fn` with a port that was verified free and leased, so parallel test workers never get the
+ * same one, and releases the lease when `fn` settles.
+ */
+export async function withFreePort<T>(fn: (port: number) => T | Promise<T>, options: FreePortOptions = {}): Promise<T> {
+  const leaseDir = options.leaseDir || getLeaseDir();
+  const port = await findFreePort({ lease: true, ...options, leaseDir });
+  try {
+    return await fn(port);
+  } finally {
+    releasePort(port, leaseDir);
+  }
+}
+
+function recordStack(handle: Handle, caller: Function): void {
+  const holder: { stack?: string } = {};
+  Error.captureStackTrace(holder, caller);
+  if (!listenStacks.has(handle)) {
+    (handle as net.Server).once('close', () => listenStacks.delete(handle));
+  }
+  // Drop the "Error" line and frames of this module (withFreePort), keeping those of the code that opened the listener.
+  const frames = (holder.stack || '').split('\n').slice(1).filter((line) => !line.includes(__filename));
+  listenStacks.set(handle, frames.join('\n'));
+}
+
+function instrument(): void {
+  if (instrumented++ > 0) return;
+
+  originalListen = net.Server.prototype.listen;
+  originalBind = dgram.Socket.prototype.bind;
+  // http, https and net servers all listen through net.Server, UDP sockets through bind().
+  net.Server.prototype.listen = function listen(this: net.Server, ...args: any[]) {
+    recordStack(this, listen);
+    return originalListen.apply(this, args as any);
+  } as typeof originalListen;
+  dgram.Socket.prototype.bind = function bind(this: dgram.Socket, ...args: any[]) {
+    recordStack(this, bind);
+    return originalBind.apply(this, args as any);
+  } as typeof originalBind;
+}
+
+function restore(): void {
+  if (--instrumented > 0) return;
+
+  net.Server.prototype.listen = originalListen;
+  dgram.Socket.prototype.bind = originalBind;
+  listenStacks.clear();
+}
+
+function findStack(port: number, protocol: string): string | null {
+  for (const [handle, stack] of listenStacks) {
+    if ((handle instanceof dgram.Socket ? 'udp' : 'tcp') !== protocol) continue;
+    try {
+      const address = handle.address();
+      if (address && typeof address === 'object' && address.port === port) return stack;
+    } catch (error: any) {
+      // An unbound UDP socket has no address yet.
+    }
+  }
+  return null;
+}
+
+function listenerKey(result: PortResult): string {
+  return `${result.protocol}/${result.port}`;
+}
+
+function formatLeaks(leaks: LeakedListener[]): string {
+  const lines = leaks.map((leak) => {
+    const stack = leak.stack ? `\n${leak.stack.split('\n').map((line) => `  ${line}`).join('\n')}` : '';
+    return `  ${leak.protocol}/${leak.port} held by PID ${describeOwners(leak)}${stack}`;
+  });
+  return `${leaks.length} listener(s) still bound after the tests:\n${lines.join('\n')}`;
+}
+
+/**
+ * Snapshots the ports the test process (and its children) listen on, and reports the ones opened
+ * since then that are still bound, with the stack of the listen() or bind() call that opened them.
+ */
+export class ListenerTracker {
+  options: PortClientOptions;
+  grace: number;
+  interval: number;
+  baseline: Set<string> | null;
+
+  constructor({ grace = 1000, interval = 100, ...options }: LeakCheckOptions = {}) {
+    this.options = options;
+    this.grace = grace;
+    this.interval = interval;
+    this.baseline = null;
+  }
+
+  async listListeners(): Promise<PortResult[]> {
+    const client = new PortClient(null, { reporter: false, config: false, tree: true, ...this.options, pid: process.pid, name: null });
+    return client.findProcessPorts();
+  }
+
+  async start(): Promise<void> {
+    if (this.baseline) return;
+
+    instrument();
+    try {
+      this.baseline = new Set((await this.listListeners()).map(listenerKey));
+    } catch (error: any) {
+      restore();
+      throw error;
+    }
+  }
+
+  async findLeaks(): Promise<LeakedListener[]> {
+    const { baseline } = this;
+    if (!baseline) {
+      throw new Error('Listener tracking has not been started');
+    }
+
+    const started = Date.now();
+    while (true) {
+      const leaks = (await this.listListeners()).filter((result) => !baseline.has(listenerKey(result)));
+      // A server closed by another teardown hook may need a moment to release its socket.
+      if (leaks.length === 0 || Date.now() - started >= this.grace) {
+        return leaks.map((result) => ({
+          port: result.port,
+          protocol: result.protocol,
+          pids: result.pids,
+          processes: result.processes,
+          stack: findStack(result.port, result.protocol),
+        }));
+      }
+      await delay(this.interval);
+    }
+  }
+
+  async stop(): Promise<LeakedListener[]> {
+    try {
+      return await this.findLeaks();
+    } finally {
+      if (this.baseline) {
+        this.baseline = null;
+        restore();
+      }
+    }
+  }
+
+  async assertNoLeaks(): Promise<void> {
+    const leaks = await this.stop();
+    if (leaks.length) {
+      throw new LeakedListenerError(formatLeaks(leaks), leaks);
+    }
+  }
+}
+
+export function trackListeners(options: LeakCheckOptions = {}): ListenerTracker {
+  return new ListenerTracker(options);
+}
+
+/**
+ * Registers beforeAll/afterAll hooks that fail the test file when it leaves listeners bound. Jest
+ * (and Vitest with `globals: true`) provide the hooks globally; otherwise pass them in `hooks`.
+ * Jest runs afterAll hooks in registration order, so the file's own teardown must be registered first.
+ */
+export function failOnLeakedListeners({ hooks = globalThis as any, ...options }: LeakCheckOptions & { hooks?: TestHooks } = {}): ListenerTracker {
+  if (typeof hooks.beforeAll !== 'function' || typeof hooks.afterAll !== 'function') {
+    throw new InvalidInputError('No beforeAll/afterAll hooks found; pass them from the test runner as `hooks`');
+  }
+
+  const tracker = trackListeners(options);
+  hooks.beforeAll(() => tracker.start());
+  hooks.afterAll(() => tracker.assertNoLeaks());
+  return tracker;
+}
+
+export { findFreePort, releasePort, LeakedListenerError };
@@ -0,0 +1,235 @@
+import readline from 'readline';
+import tty from 'tty';
+import { ListeningPort } from './types';
+
+export type TuiRow = ListeningPort;
+
+export type KillMode = 'kill' | 'graceful';
+
+export interface TuiChoice {
+  mode: KillMode;
+  ports: number[];
+}
+
+export interface TuiState {
+  rows: TuiRow[];
+  query: string;
+  cursor: number;
+  selected: number[];
+  confirm: KillMode | null;
+  loading: boolean;
+  error: string | null;
+  done: boolean;
+  choice: TuiChoice | null;
+}
+
+export interface Keypress {
+  name?: string;
+  ctrl?: boolean;
+  meta?: boolean;
+}
+
+interface ListenerSource {
+  listListeners(): Promise<TuiRow[]>;
+}
+
+const HELP = '↑/↓ move  space select  ^A all  enter kill  ^T graceful kill  type to search  esc clear/quit';
+
+export function createTuiState(rows: TuiRow[] = []): TuiState {
+  return { rows, query: '', cursor: 0, selected: [], confirm: null, loading: true, error: null, done: false, choice: null };
+}
+
+export function filterRows(rows: TuiRow[], query: string): TuiRow[] {
+  const needle = query.toLowerCase();
+  if (!needle) return rows;
+
+  return rows.filter((row) => [String(row.port), row.address, row.pids.join(' '), row.user, row.name, row.command]
+    .some((value) => value !== null && value.toLowerCase().includes(needle)));
+}
+
+export function updateRows(state: TuiState, rows: TuiRow[]): TuiState {
+  // Keep the cursor on the same port across refreshes, even when rows move.
+  const current = filterRows(state.rows, state.query)[state.cursor];
+  const visible = filterRows(rows, state.query);
+  const index = current ? visible.findIndex((row) => row.port === current.port) : -1;
+
+  return {
+    ...state,
+    rows,
+    loading: false,
+    cursor: index !== -1 ? index : Math.min(state.cursor, Math.max(visible.length - 1, 0)),
+    selected: state.selected.filter((port) => rows.some((row) => row.port === port)),
+  };
+}
+
+export function targetPorts(state: TuiState): number[] {
+  if (state.selected.length) return state.selected;
+
+  const row = filterRows(state.rows, state.query)[state.cursor];
+  return row ? [row.port] : [];
+}
+
+export function handleKey(state: TuiState, input: string | undefined, key: Keypress): TuiState {
+  const visible = filterRows(state.rows, state.query);
+
+  if (key.ctrl && key.name === 'c') {
+    return { ...state, done: true, choice: null };
+  }
+
+  if (state.confirm) {
+    return input === 'y' || input === 'Y'
+      ? { ...state, done: true, choice: { mode: state.confirm, ports: targetPorts(state) } }
+      : { ...state, confirm: null };
+  }
+
+  switch (key.name) {
+    case 'escape':
+      return state.query ? { ...state, query: '', cursor: 0 } : { ...state, done: true, choice: null };
+    case 'up':
+      return { ...state, cursor: Math.max(state.cursor - 1, 0) };
+    case 'down':
+      return { ...state, cursor: Math.min(state.cursor + 1, Math.max(visible.length - 1, 0)) };
+    case 'home':
+      return { ...state, cursor: 0 };
+    case 'end':
+      return { ...state, cursor: Math.max(visible.length - 1, 0) };
+    case 'space': {
+      const row = visible[state.cursor];
+      if (!row) return state;
+      const selected = state.selected.includes(row.port)
+        ? state.selected.filter((port) => port !== row.port)
+        : [...state.selected, row.port];
+      return { ...state, selected, cursor: Math.min(state.cursor + 1, visible.length - 1) };
+    }
+    case 'return':
+      return targetPorts(state).length ? { ...state, confirm: 'kill' } : state;
+    case 'backspace':
+      return { ...state, query: state.query.slice(0, -1), cursor: 0 };
+  }
+
+  if (key.ctrl && key.name === 'a') {
+    const ports = visible.map((row) => row.port);
+    const all = ports.length > 0 && ports.every((port) => state.selected.includes(port));
+    return { ...state, selected: all ? state.selected.filter((port) => !ports.includes(port)) : [...new Set([...state.selected, ...ports])] };
+  }
+
+  if (key.ctrl && key.name === 't') {
+    return targetPorts(state).length ? { ...state, confirm: 'graceful' } : state;
+  }
+
+  if (input && input.length === 1 && input >= ' ' && !key.ctrl && !key.meta) {
+    return { ...state, query: state.query + input, cursor: 0 };
+  }
+
+  return state;
+}
+
+const truncate = (line: string, width: number) => (line.length > width ? `${line.slice(0, width - 1)}…` : line);
+
+export function renderTui(state: TuiState, { columns = 80, rows = 24 }: { columns?: number; rows?: number } = {}): string {
+  const visible = filterRows(state.rows, state.query);
+  const protocol = state.rows.length ? state.rows[0].protocol : '';
+  const title = `port-client: ${visible.length}/${state.rows.length} listening ${protocol} port(s)`
+    + `${state.selected.length ? `, ${state.selected.length} selected` : ''}${state.query ? `  search: ${state.query}` : ''}`;
+
+  const header = ['', 'PORT', 'ADDRESS', 'PID', 'CONN', 'USER', 'NAME', 'COMMAND'];
+  const cells = visible.map((row) => [
+    state.selected.includes(row.port) ? '[x]' : '[ ]',
+    String(row.port),
+    row.address,
+    row.pids.join(',') || '-',
+    String(row.connections),
+    row.user || '-',
+    row.name || '-',
+    row.command || '',
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...cells.map((row) => row[column].length)));
+  const format = (row: string[]) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  // Title, column header, status and help lines stay fixed; the table scrolls between them.
+  const height = Math.max(rows - 4, 1);
+  const offset = Math.max(0, state.cursor - height + 1);
+  const body = cells.slice(offset, offset + height).map((row, index) => {
+    const line = truncate(`  ${format(row)}`, columns);
+    return offset + index === state.cursor ? `\x1b[7m${line.padEnd(columns)}\x1b[0m` : line;
+  });
+
+  let status = '';
+  if (state.confirm) {
+    const ports = targetPorts(state).join(', ');
+    status = state.confirm === 'graceful'
+      ? `Gracefully kill port(s) ${ports} (SIGTERM, then SIGKILL)? [y/N]`
+      : `Kill port(s) ${ports} with SIGKILL? [y/N]`;
+  } else if (state.error) {
+    status = `\x1b[31m${state.error}\x1b[0m`;
+  } else if (state.loading) {
+    status = 'Loading...';
+  } else if (!visible.length) {
+    status = state.query ? `No listener matches "${state.query}"` : 'No listening ports';
+  }
+
+  return [
+    truncate(title, columns),
+    truncate(`  ${format(header)}`, columns),
+    ...body,
+    ...Array(Math.max(height - body.length, 0)).fill(''),
+    status,
+    truncate(HELP, columns),
+  ].join('\n');
+}
+
+export function runTui(
+  source: ListenerSource,
+  { interval = 1000, input = process.stdin, output = process.stderr }: { interval?: number; input?: tty.ReadStream; output?: tty.WriteStream } = {}
+): Promise<TuiChoice | null> {
+  return new Promise((resolve) => {
+    let state = createTuiState();
+    let timer: NodeJS.Timeout | null = null;
+
+    const draw = () => {
+      output.write(`\x1b[H\x1b[2J${renderTui(state, { columns: output.columns, rows: output.rows })}`);
+    };
+
+    const refresh = async () => {
+      try {
+        state = { ...updateRows(state, await source.listListeners()), error: null };
+      } catch (error: any) {
+        state = { ...state, loading: false, error: (error as Error).message };
+      }
+
+      if (state.done) return;
+      draw();
+      timer = setTimeout(refresh, interval);
+    };
+
+    const finish = () => {
+      if (timer) clearTimeout(timer);
+      input.removeListener('keypress', onKeypress);
+      output.removeListener('resize', draw);
+      input.setRawMode(false);
+      input.pause();
+      output.write('\x1b[?25h\x1b[?1049l');
+      resolve(state.choice);
+    };
+
+    const onKeypress = (text: string | undefined, key: Keypress = {}) => {
+      state = handleKey(state, text, key);
+      if (state.done) {
+        finish();
+      } else {
+        draw();
+      }
+    };
+
+    // The screen goes to stderr so --output json on stdout stays clean.
+    output.write('\x1b[?1049h\x1b[?25l');
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    output.on('resize', draw);
+
+    draw();
+    refresh();
+  });
+}
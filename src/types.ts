@@ -0,0 +1,204 @@
+export type PortStatus =
+  | 'active'
+  | 'inactive'
+  | 'killed'
+  | 'not-found'
+  | 'failed'
+  | 'error'
+  | 'dry-run';
+
+export interface ProcessInfo {
+  pid: number;
+  name: string;
+  command: string;
+  user: string | null;
+  uid: number | null;
+  cwd: string | null;
+  ppid: number | null;
+  startTime: Date | null;
+  uptime: number | null;
+}
+
+export interface SocketInfo {
+  protocol: string;
+  family: 'IPv4' | 'IPv6';
+  localAddress: string;
+  localPort: number | null;
+  remoteAddress: string | null;
+  state: string | null;
+  pid: number | null;
+  command: string | null;
+  user: string | null;
+}
+
+export interface FilterTarget {
+  name: string | null;
+  cmd: string | null;
+  user: string | null;
+  pid: number;
+  ppid: number | null;
+  state: string | null;
+  cwd: string | null;
+  protocol: string;
+}
+
+export interface ContainerInfo {
+  id: string;
+  name: string;
+  image: string;
+}
+
+export interface KillStep {
+  signal: string;
+  pids: number[];
+  exited: number[];
+  remaining: number[];
+  portFreed: boolean;
+  elapsed: number;
+  error: string | null;
+}
+
+export interface ExcludedProcess {
+  pid: number;
+  name: string | null;
+  reason: string;
+}
+
+export interface KillPlan {
+  port: number;
+  pids: number[];
+  targets: number[];
+  processes: ProcessInfo[];
+  excluded: ExcludedProcess[];
+  containers: ContainerInfo[];
+  error: string | null;
+}
+
+export interface ProbeInfo {
+  host: string;
+  latency: number | null;
+  tls: { authorized: boolean; protocol: string | null; error: string | null } | null;
+  http: { path: string; status: number | null; latency: number } | null;
+}
+
+export interface ConnectionSummary {
+  listeners: number[];
+  clients: number[];
+  states: { [state: string]: number };
+}
+
+export interface PortResult {
+  port: number;
+  protocol: string;
+  action: string;
+  status: PortStatus;
+  pids: number[];
+  signal: string | null;
+  success: boolean;
+  error: string | null;
+  processes: ProcessInfo[];
+  steps: KillStep[];
+  excluded: ExcludedProcess[];
+  containers: ContainerInfo[];
+  probe: ProbeInfo | null;
+  connections: ConnectionSummary | null;
+}
+
+export interface RunResult {
+  ports: number[];
+  code: number | null;
+  signal: string | null;
+  freed: PortResult[];
+  leftovers: PortResult[];
+}
+
+export interface LeakedListener {
+  port: number;
+  protocol: string;
+  pids: number[];
+  processes: ProcessInfo[];
+  stack: string | null;
+}
+
+export interface HistoryEntry {
+  time: string;
+  user: string;
+  cwd: string;
+  port: number;
+  protocol: string;
+  pid: number | null;
+  name: string | null;
+  command: string | null;
+  signal: string | null;
+  status: PortStatus;
+  success: boolean;
+  error: string | null;
+}
+
+export interface ListeningPort {
+  port: number;
+  protocol: string;
+  address: string;
+  pids: number[];
+  user: string | null;
+  name: string | null;
+  command: string | null;
+  connections: number;
+}
+
+export interface WatchEvent {
+  type: 'bound' | 'released' | 'owner-changed';
+  port: number;
+  protocol: string;
+  pids: number[];
+  previousPids: number[];
+  processes: ProcessInfo[];
+  timestamp: Date;
+}
+
+export interface Reporter {
+  info(message: string): void;
+  result(result: PortResult): void;
+  event(event: WatchEvent): void;
+}
+
+// A port, a list of ports, or a spec string such as `3000,3005-3010,!3007,postgres`.
+export type PortSpec = string | number | (string | number)[];
+
+export interface PortClientOptions {
+  method?: string;
+  action?: string;
+  interactive?: boolean;
+  dryRun?: boolean;
+  verbose?: boolean;
+  graceful?: boolean;
+  filter?: string | null;
+  range?: string | null;
+  speed?: string;
+  details?: boolean;
+  interval?: number;
+  reserved?: boolean | number[];
+  signal?: string | null;
+  timeout?: number;
+  tree?: boolean;
+  free?: boolean;
+  host?: string | null;
+  family?: number | null;
+  protect?: string | (string | number)[];
+  allow?: string | string[];
+  forceOtherUsers?: boolean;
+  force?: boolean;
+  yes?: boolean;
+  backend?: string;
+  docker?: boolean;
+  concurrency?: number;
+  tls?: boolean;
+  httpPath?: string | null;
+  insecure?: boolean;
+  history?: boolean | string;
+  pid?: number | string | (number | string)[] | null;
+  name?: string | string[] | null;
+  reporter?: Reporter | false;
+  profile?: string | null;
+  config?: boolean | string;
+}
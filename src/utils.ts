@@ -0,0 +1,64 @@
+import os from 'os';
+import path from 'path';
+import { InvalidInputError } from './errors';
+
+export const delay = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function mapLimit<T, R>(items: T[], limit: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const worker = async (): Promise<void> => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+const DURATION_UNITS: { [unit: string]: number } = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+export function parseDuration(value: string | number): number {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    throw new InvalidInputError(`Invalid duration: ${value}`);
+  }
+
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+export function getCacheDir(platform: string = process.platform): string {
+  const home = os.homedir();
+
+  if (platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), 'port-client');
+  }
+  if (platform === 'darwin') {
+    return path.join(home, 'Library', 'Caches', 'port-client');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), 'port-client');
+}
+
+// Unlike the cache, this holds records (such as the kill history) that must survive a cache cleanup.
+export function getStateDir(platform: string = process.platform): string {
+  const home = os.homedir();
+
+  if (platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), 'port-client');
+  }
+  if (platform === 'darwin') {
+    return path.join(home, 'Library', 'Logs', 'port-client');
+  }
+  return path.join(process.env.XDG_STATE_HOME || path.join(home, '.local', 'state'), 'port-client');
+}
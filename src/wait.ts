@@ -0,0 +1,59 @@
+import net from 'net';
+import { delay } from './utils';
+
+interface StatusSource {
+  checkPortStatus(port: number): Promise<boolean>;
+}
+
+export interface WaitOptions {
+  timeout?: number;
+  interval?: number;
+  host?: string | null;
+}
+
+export function canConnect(port: number, host: string, timeout: number = 1000): Promise<boolean> {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const done = (connected: boolean) => {
+      socket.destroy();
+      resolve(connected);
+    };
+
+    socket.setTimeout(timeout, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+export async function waitForState(
+  client: StatusSource,
+  port: number,
+  bound: boolean,
+  { timeout = 5000, interval = 250, host = null }: WaitOptions = {}
+): Promise<number> {
+  const started = Date.now();
+  let lastError: Error | null = null;
+
+  while (true) {
+    let isActive: boolean | null;
+    try {
+      isActive = host
+        ? await canConnect(port, host, Math.min(interval, 1000))
+        : await client.checkPortStatus(port);
+      lastError = null;
+    } catch (error: any) {
+      // A failed lookup says nothing about the port, so it is neither bound nor free; poll again.
+      isActive = null;
+      lastError = error as Error;
+    }
+    const elapsed = Date.now() - started;
+
+    if (isActive === bound) return elapsed;
+    if (elapsed >= timeout) {
+      const reason = lastError ? ` (${lastError.message})` : '';
+      throw new Error(`Timed out after ${timeout}ms waiting for port ${port} to be ${bound ? 'bound' : 'free'}${reason}`);
+    }
+
+    await delay(Math.min(interval, Math.max(0, timeout - elapsed)));
+  }
+}
@@ -0,0 +1,148 @@
+import { EventEmitter, on } from 'events';
+import { PortResult, ProcessInfo, SocketInfo, WatchEvent } from './types';
+
+interface PortSource {
+  method: string;
+  findPids(port: number, snapshot?: SocketInfo[]): Promise<number[]>;
+  snapshot?(): Promise<SocketInfo[]>;
+  getProcessDetails(pids: number[]): Promise<ProcessInfo[]>;
+  killPorts(ports: number[], options?: { confirm?: boolean }): Promise<PortResult[]>;
+}
+
+interface PortState {
+  pids: number[];
+  processes: ProcessInfo[];
+}
+
+const samePids = (a: number[], b: number[]) =>
+  a.length === b.length && a.every((pid) => b.includes(pid));
+
+export class PortWatcher extends EventEmitter {
+  client: PortSource;
+  ports: number[];
+  interval: number;
+  reserved: number[];
+  state: Map<number, PortState>;
+  timer: NodeJS.Timeout | null;
+  controller: AbortController | null;
+  running: boolean;
+
+  constructor(
+    client: PortSource,
+    ports: number[],
+    { interval = 1000, reserved = [] }: { interval?: number; reserved?: boolean | number[] } = {}
+  ) {
+    super();
+    this.client = client;
+    this.ports = ports;
+    this.interval = interval;
+    this.reserved = reserved === true ? ports : (reserved || []);
+    this.state = new Map();
+    this.timer = null;
+    this.controller = null;
+    this.running = false;
+  }
+
+  start(): this {
+    if (this.running) return this;
+
+    this.running = true;
+    this.controller = new AbortController();
+    this.tick();
+    return this;
+  }
+
+  stop(): void {
+    if (!this.running) return;
+
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    this.emit('stop');
+  }
+
+  async tick(): Promise<void> {
+    try {
+      await this.poll();
+    } catch (error: any) {
+      this.fail(error as Error);
+    }
+    if (this.running) {
+      this.timer = setTimeout(() => this.tick(), this.interval);
+    }
+  }
+
+  async poll(): Promise<WatchEvent[]> {
+    const events: WatchEvent[] = [];
+    // One socket listing per poll; if it fails, every port reports its own lookup error.
+    const snapshot = this.ports.length > 1 && this.client.snapshot ? await this.client.snapshot().catch(() => undefined) : undefined;
+
+    for (const port of this.ports) {
+      try {
+        const event = await this.pollPort(port, snapshot);
+        if (event) events.push(event);
+      } catch (error: any) {
+        this.fail(new Error(`Failed to watch port ${port}: ${(error as Error).message}`));
+      }
+    }
+
+    return events;
+  }
+
+  // Without an 'error' listener, emit() would throw out of the timer callback and crash the process;
+  // the failed poll is dropped instead and the next one tries again.
+  fail(error: Error): void {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  async pollPort(port: number, snapshot?: SocketInfo[]): Promise<WatchEvent | null> {
+    const previous = this.state.get(port) || { pids: [], processes: [] };
+    const pids = await this.client.findPids(port, snapshot);
+
+    if (samePids(previous.pids, pids)) return null;
+
+    const processes = pids.length ? await this.client.getProcessDetails(pids).catch(() => []) : [];
+    this.state.set(port, { pids, processes });
+
+    const type = !pids.length ? 'released' : (!previous.pids.length ? 'bound' : 'owner-changed');
+    const event: WatchEvent = {
+      type,
+      port,
+      protocol: this.client.method,
+      pids,
+      previousPids: previous.pids,
+      processes: type === 'released' ? previous.processes : processes,
+      timestamp: new Date(),
+    };
+
+    this.emit(type, event);
+    this.emit('change', event);
+
+    if (type !== 'released' && this.reserved.includes(port)) {
+      const [result] = await this.client.killPorts([port], { confirm: false });
+      this.emit('killed', result);
+    }
+
+    return event;
+  }
+
+  snapshot(): Map<number, PortState> {
+    return new Map(this.state);
+  }
+
+  async *[Symbol.asyncIterator](): AsyncGenerator<WatchEvent> {
+    this.start();
+    const changes = on(this, 'change', { signal: (this.controller as AbortController).signal });
+
+    try {
+      for await (const [event] of changes) {
+        yield event;
+      }
+    } catch (error: any) {
+      if ((error as Error).name !== 'AbortError') throw error;
+    }
+  }
+}
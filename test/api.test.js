@@ -0,0 +1,55 @@
+// api.test.js
+const { execCommand } = require('../dist/exec.js');
+const portClient = require('../dist/index.js');
+const { PortClient, listPorts, checkPort, killPort, InvalidInputError } = portClient;
+
+jest.mock('../dist/exec.js');
+
+const LISTENING = 'node 123 user 20u IPv4 0x1 0t0 TCP *:8080 (LISTEN)\nnode 456 user 21u IPv4 0x2 0t0 TCP 127.0.0.1:9229 (LISTEN)';
+
+describe('Library API', () => {
+  let killed;
+  let killSpy;
+
+  beforeEach(() => {
+    killed = [];
+    execCommand.mockImplementation(async (file) => ({
+      stdout: file === 'lsof' ? LISTENING.split('\n').filter((line) => !killed.includes(Number(line.split(' ')[1]))).join('\n') : '',
+      stderr: '',
+      code: 0,
+    }));
+    killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (killed.includes(pid)) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      if (signal !== 0) killed.push(pid);
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    killSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  test('should keep require() returning runPortClient with the API attached', () => {
+    expect(typeof portClient).toBe('function');
+    expect(portClient.default).toBe(portClient.runPortClient);
+    expect(new PortClient(8080, { config: false })).toBeInstanceOf(PortClient);
+  });
+
+  test('should list the ports being listened on', async () => {
+    const ports = await listPorts(null, { backend: 'lsof', config: false });
+
+    expect(ports.map((row) => [row.port, row.pids])).toEqual([[8080, [123]], [9229, [456]]]);
+    expect((await listPorts('9000-9999', { backend: 'lsof', config: false })).map((row) => row.port)).toEqual([9229]);
+  });
+
+  test('should check and kill a single port', async () => {
+    expect(await checkPort('8080', { backend: 'lsof', config: false })).toMatchObject({ port: 8080, action: 'check', status: 'active', pids: [123] });
+
+    const result = await killPort(8080, { backend: 'lsof', forceOtherUsers: true, history: false, config: false });
+
+    expect(result).toMatchObject({ port: 8080, action: 'kill', status: 'killed', success: true });
+    expect(killed).toEqual([123]);
+    await expect(checkPort('http')).rejects.toThrow(InvalidInputError);
+  });
+});
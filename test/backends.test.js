@@ -0,0 +1,137 @@
+// backends.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findExecutable } = require('../dist/exec.js');
+const {
+  createProcBackend,
+  decodeProcAddress,
+  parseProcNet,
+  parseSsSockets,
+  resolveBackends,
+  getBackendOrder,
+} = require('../dist/backends.js');
+
+jest.mock('../dist/exec.js');
+
+const TCP_HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode';
+
+describe('/proc backend', () => {
+  let procRoot;
+
+  beforeEach(() => {
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-proc-'));
+    fs.mkdirSync(path.join(procRoot, 'net'));
+    fs.writeFileSync(path.join(procRoot, 'net', 'tcp'), [
+      TCP_HEADER,
+      '   0: 0100007F:0BB8 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 4242 1 0 100 0 0 10 0',
+      '   1: 0100007F:C350 0100007F:0BB8 01 00000000:00000000 00:00000000 00000000  1000        0 4343 1 0 100 0 0 10 0',
+    ].join('\n'));
+    fs.writeFileSync(path.join(procRoot, 'net', 'tcp6'), [
+      TCP_HEADER,
+      '   0: 00000000000000000000000001000000:0BB8 00000000000000000000000000000000:0000 0A 00000000:00000000 00:00000000 00000000     0        0 5555 1 0 100 0 0 10 0',
+    ].join('\n'));
+
+    fs.mkdirSync(path.join(procRoot, '77', 'fd'), { recursive: true });
+    fs.writeFileSync(path.join(procRoot, '77', 'comm'), 'node\n');
+    fs.symlinkSync('socket:[4242]', path.join(procRoot, '77', 'fd', '20'));
+    fs.symlinkSync('/dev/null', path.join(procRoot, '77', 'fd', '0'));
+    fs.writeFileSync(path.join(procRoot, 'passwd'), 'root:x:0:0::/root:/bin/sh\nalice:x:1000:1000::/home/alice:/bin/sh\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(procRoot, { recursive: true, force: true });
+  });
+
+  test('should decode IPv4 and IPv6 addresses', () => {
+    expect(decodeProcAddress('0100007F:0BB8')).toEqual({ address: '127.0.0.1', port: 3000 });
+    expect(decodeProcAddress('00000000000000000000000001000000:0BB8')).toEqual({ address: '::1', port: 3000 });
+    expect(decodeProcAddress('00000000000000000000000000000000:0050')).toEqual({ address: '::', port: 80 });
+    expect(decodeProcAddress('0000000000000000FFFF00000100007F:0BB8')).toEqual({ address: '::ffff:127.0.0.1', port: 3000 });
+  });
+
+  test('should parse socket tables', () => {
+    const [listener, client] = parseProcNet(fs.readFileSync(path.join(procRoot, 'net', 'tcp'), 'utf8'), 'tcp', 'IPv4');
+
+    expect(listener).toMatchObject({ localAddress: '127.0.0.1', localPort: 3000, remoteAddress: null, state: 'LISTEN', inode: 4242, uid: 1000 });
+    expect(client).toMatchObject({ localPort: 50000, remoteAddress: '127.0.0.1:3000', state: 'ESTABLISHED' });
+  });
+
+  test('should map socket inodes to the owning processes', async () => {
+    const backend = createProcBackend(procRoot, path.join(procRoot, 'passwd'));
+
+    await expect(backend.listSockets({ protocol: 'tcp', port: 3000 }, 'linux')).resolves.toEqual([
+      { protocol: 'tcp', family: 'IPv4', localAddress: '127.0.0.1', localPort: 3000, remoteAddress: null, state: 'LISTEN', pid: 77, command: 'node', user: 'alice' },
+      { protocol: 'tcp', family: 'IPv6', localAddress: '::1', localPort: 3000, remoteAddress: null, state: 'LISTEN', pid: null, command: null, user: 'root' },
+    ]);
+    await expect(backend.listSockets({ protocol: 'tcp', port: 3000, family: 6 }, 'linux')).resolves.toHaveLength(1);
+    await expect(backend.listSockets({ protocol: 'udp', port: 3000 }, 'linux')).rejects.toThrow('is not readable');
+  });
+});
+
+describe('ss backend', () => {
+  test('should parse ss output with process owners', () => {
+    const stdout = [
+      'LISTEN 0      511          *:3000          *:*    users:(("node",pid=123,fd=20),("node",pid=124,fd=20))',
+      'ESTAB  0      0    127.0.0.1:41000 127.0.0.1:3000 users:(("curl",pid=456,fd=5))',
+      'TIME-WAIT 0   0    127.0.0.1:41001 127.0.0.1:3000',
+    ].join('\n');
+
+    expect(parseSsSockets(stdout, 'tcp')).toEqual([
+      { protocol: 'tcp', family: 'IPv4', localAddress: '*', localPort: 3000, remoteAddress: null, state: 'LISTEN', pid: 123, command: 'node', user: null },
+      { protocol: 'tcp', family: 'IPv4', localAddress: '*', localPort: 3000, remoteAddress: null, state: 'LISTEN', pid: 124, command: 'node', user: null },
+      { protocol: 'tcp', family: 'IPv4', localAddress: '127.0.0.1', localPort: 41000, remoteAddress: '127.0.0.1:3000', state: 'ESTABLISHED', pid: 456, command: 'curl', user: null },
+      { protocol: 'tcp', family: 'IPv4', localAddress: '127.0.0.1', localPort: 41001, remoteAddress: '127.0.0.1:3000', state: 'TIME_WAIT', pid: null, command: null, user: null },
+    ]);
+  });
+});
+
+describe('Backend selection', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should prefer native backends on each platform', () => {
+    expect(getBackendOrder('linux')).toEqual(['proc', 'ss', 'lsof', 'netstat']);
+    expect(getBackendOrder('darwin')).toEqual(['lsof', 'netstat']);
+    expect(getBackendOrder('win32')).toEqual(['netstat']);
+  });
+
+  test('should skip backends whose tools are not installed', async () => {
+    findExecutable.mockImplementation((name) => (name === 'netstat' ? '/bin/netstat' : null));
+
+    const backends = await resolveBackends('auto', 'darwin');
+
+    expect(backends.map((backend) => backend.name)).toEqual(['netstat']);
+  });
+
+  test('should look tools up on PATH without a shell', () => {
+    const { findExecutable: find } = jest.requireActual('../dist/exec.js');
+    const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-bin-'));
+    fs.writeFileSync(path.join(bin, 'ss'), '#!/bin/sh\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(bin, 'lsof'), '', { mode: 0o644 });
+
+    expect(find('ss', 'linux', { PATH: `/nonexistent:${bin}` })).toBe(path.join(bin, 'ss'));
+    expect(find('lsof', 'linux', { PATH: bin })).toBeNull();
+    expect(find('ss; rm -rf ~', 'linux', { PATH: bin })).toBeNull();
+    fs.rmSync(bin, { recursive: true, force: true });
+  });
+
+  test('should look commands up on Windows through the working directory, Path and PATHEXT', () => {
+    const { findExecutable: find } = jest.requireActual('../dist/exec.js');
+    const env = { Path: 'C:\\Windows;"C:\\Program Files\\nodejs"', PATHEXT: '.COM;.EXE;.BAT;.CMD' };
+    const files = ['C:\\Program Files\\nodejs\\npm.cmd', 'C:\\Windows\\netstat.exe'];
+    const exists = (file) => files.includes(file);
+
+    expect(find('npm', 'win32', env, exists)).toBe('C:\\Program Files\\nodejs\\npm.cmd');
+    expect(find('netstat', 'win32', env, exists)).toBe('C:\\Windows\\netstat.exe');
+    expect(find('netstat', 'win32', env, (file) => file === 'netstat.exe' || exists(file))).toBe('netstat.exe');
+    expect(find('C:\\Program Files\\nodejs\\npm', 'win32', env, exists)).toBe('C:\\Program Files\\nodejs\\npm.cmd');
+    expect(find('yarn', 'win32', env, exists)).toBeNull();
+  });
+
+  test('should force a single backend and reject unknown names', async () => {
+    expect((await resolveBackends('ss', 'linux')).map((backend) => backend.name)).toEqual(['ss']);
+    await expect(resolveBackends('sockstat', 'linux')).rejects.toThrow('Unknown backend: sockstat');
+  });
+});
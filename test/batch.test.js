@@ -0,0 +1,87 @@
+// batch.test.js
+const { execCommand } = require('../dist/exec.js');
+const runPortClient = require('../dist/index.js');
+
+jest.mock('../dist/exec.js');
+
+const LISTING = [
+  'node 123 user 20u IPv4 0x1 0t0 TCP *:3000 (LISTEN)',
+  'node 123 user 21u IPv4 0x2 0t0 TCP *:3001 (LISTEN)',
+  'node 123 user 22u IPv4 0x3 0t0 TCP *:3002 (LISTEN)',
+  'vite 456 user 20u IPv4 0x4 0t0 TCP *:3003 (LISTEN)',
+].join('\n');
+
+const PS = '  123     1  1000 user  01:00 node server.js\n  456     1  1000 user  02:00 node vite';
+const NAMES = '  123 node\n  456 vite';
+
+describe('Batch engine', () => {
+  let killed;
+  let killSpy;
+
+  beforeEach(() => {
+    killed = [];
+    execCommand.mockImplementation(async (file, args) => {
+      const command = [file, ...args].join(' ');
+      if (command.startsWith('ps -o pid=,comm=')) return { stdout: NAMES, stderr: '', code: 0 };
+      if (command.startsWith('ps -o')) return { stdout: PS, stderr: '', code: 0 };
+      const stdout = command.startsWith('lsof -i')
+        ? LISTING.split('\n').filter((line) => !killed.includes(Number(line.split(' ')[1]))).join('\n')
+        : '';
+      return { stdout, stderr: '', code: 0 };
+    });
+    killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (killed.includes(pid)) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      if (signal !== 0) killed.push(pid);
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    killSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  const commands = (file) => execCommand.mock.calls.filter(([name]) => name === file).map(([name, args]) => [name, ...args].join(' '));
+
+  test('should resolve a whole range against one socket listing', async () => {
+    const results = await runPortClient('3000-3100', { backend: 'lsof', reporter: false });
+
+    expect(commands('lsof')).toEqual(['lsof -i tcp -P -n +c 0']);
+    expect(results).toHaveLength(101);
+    expect(results.filter((result) => result.status === 'active').map((result) => [result.port, result.pids]))
+      .toEqual([[3000, [123]], [3001, [123]], [3002, [123]], [3003, [456]]]);
+  });
+
+  test('should fetch process details once for every port', async () => {
+    await runPortClient('3000-3003', { backend: 'lsof', details: true, reporter: false });
+
+    expect(commands('ps').filter((command) => command.startsWith('ps -o'))).toEqual([
+      expect.stringMatching(/-p 123,456$/),
+      expect.stringMatching(/^ps -o pid=,comm= -p 123,456$/),
+    ]);
+  });
+
+  test('should send one signal per process holding several ports', async () => {
+    const results = await runPortClient('3000-3003', { action: 'kill', backend: 'lsof', forceOtherUsers: true, history: false, reporter: false });
+
+    expect(killSpy.mock.calls.filter(([, signal]) => signal !== 0)).toEqual([[123, 'SIGKILL'], [456, 'SIGKILL']]);
+    expect(results.map((result) => [result.port, result.status])).toEqual([[3000, 'killed'], [3001, 'killed'], [3002, 'killed'], [3003, 'killed']]);
+    expect(results[1].steps).toEqual(results[0].steps);
+  });
+
+  test('should report which ports of a group are still held', async () => {
+    // The first listing is used for planning; afterwards 3001 stays bound.
+    let listings = 0;
+    execCommand.mockImplementation(async (file) => {
+      if (file !== 'lsof') return { stdout: '', stderr: '', code: 0 };
+      return { stdout: listings++ ? LISTING.split('\n')[1] : LISTING, stderr: '', code: 0 };
+    });
+
+    const results = await runPortClient('3000-3001', { action: 'kill', backend: 'lsof', forceOtherUsers: true, timeout: 200, history: false, reporter: false });
+
+    expect(results.map((result) => [result.port, result.status, result.error])).toEqual([
+      [3000, 'killed', null],
+      [3001, 'failed', 'Port still in use after SIGKILL'],
+    ]);
+  });
+});
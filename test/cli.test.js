@@ -0,0 +1,49 @@
+// cli.test.js
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Runs outside the repository so no project config is picked up.
+const cli = (...args) => spawnSync(process.execPath, [CLI, ...args], { cwd: os.tmpdir(), encoding: 'utf8', timeout: 30000 });
+
+describe('Command line', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = net.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('should check a port in fast mode', () => {
+    const { status, stdout } = cli(String(port), '--fast', '--output', 'json');
+
+    expect(status).toBe(1); // in use
+    expect(JSON.parse(stdout)).toEqual([expect.objectContaining({ port, action: 'check', status: 'active', pids: [process.pid] })]);
+  });
+
+  test('should reject words that are neither subcommands nor ports', () => {
+    const { status, stderr } = cli(String(port), 'check', '--fast');
+
+    expect(status).toBe(3);
+    expect(stderr).toContain('Unknown service: check');
+  });
+
+  test('should refuse to watch with output formats printed only at the end', () => {
+    for (const output of ['json', 'table']) {
+      const { status, stdout, stderr } = cli(String(port), '--watch', '--output', output);
+
+      expect(status).toBe(3);
+      expect(stdout).toBe('');
+      expect(stderr).toContain(`--watch cannot be combined with --output ${output}`);
+    }
+  });
+});
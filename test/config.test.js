@@ -0,0 +1,70 @@
+// config.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findConfig, loadConfig, withConfig } = require('../dist/config.js');
+
+describe('Project config', () => {
+  let root;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should search upwards from the working directory', () => {
+    write(path.join(root, '.portclientrc'), { method: 'udp' });
+    const nested = path.join(root, 'packages', 'web');
+    fs.mkdirSync(nested, { recursive: true });
+
+    expect(findConfig(nested)).toEqual({ path: path.join(root, '.portclientrc'), config: { method: 'udp' } });
+  });
+
+  test('should read the portClient key from package.json', () => {
+    write(path.join(root, 'package.json'), { name: 'app', portClient: { speed: 'fast' } });
+    write(path.join(root, 'lib', 'package.json'), { name: 'lib' });
+
+    expect(loadConfig({ cwd: path.join(root, 'lib') })).toEqual({ speed: 'fast' });
+  });
+
+  test('should apply a named profile over the top-level defaults', () => {
+    write(path.join(root, '.portclientrc.json'), {
+      graceful: true,
+      method: 'tcp',
+      profiles: { dev: { ports: '3000,5173', method: 'udp', timeout: '10s' } },
+    });
+
+    expect(loadConfig({ cwd: root, profile: 'dev' })).toEqual({
+      graceful: true,
+      method: 'udp',
+      ports: [3000, 5173],
+      timeout: 10000,
+    });
+  });
+
+  test('should reject unknown profiles and malformed files', () => {
+    write(path.join(root, '.portclientrc'), { profiles: { dev: {} } });
+    expect(() => loadConfig({ cwd: root, profile: 'prod' })).toThrow('Profile "prod" not found');
+
+    write(path.join(root, '.portclientrc'), '{ nope');
+    expect(() => loadConfig({ cwd: root })).toThrow('Invalid config file');
+  });
+
+  test('should let explicit options override config values', () => {
+    const file = path.join(root, 'ports.json');
+    write(file, { method: 'udp', graceful: true, profiles: { dev: { ports: [3000] } } });
+
+    expect(withConfig({ config: file, profile: 'dev', method: 'tcp', graceful: undefined })).toEqual(
+      expect.objectContaining({ method: 'tcp', graceful: true, ports: [3000] })
+    );
+    expect(withConfig({ config: false, method: 'tcp' })).toEqual({ config: false, method: 'tcp' });
+  });
+});
@@ -0,0 +1,100 @@
+// docker.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execCommand } = require('../dist/exec.js');
+const { findContainers, parsePublishedPorts, stopContainers } = require('../dist/docker.js');
+const runPortClient = require('../dist/index.js');
+
+jest.mock('../dist/exec.js');
+
+const { execCommand: realExec } = jest.requireActual('../dist/exec.js');
+
+const PROXY_SOCKET = 'docker-proxy 4242 root 4u IPv4 0x1 0t0 TCP *:8080 (LISTEN)';
+
+describe('Docker-published ports', () => {
+  let stubDir;
+  let stopLog;
+
+  beforeEach(() => {
+    stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-docker-'));
+    stopLog = path.join(stubDir, 'stop.log');
+    fs.writeFileSync(path.join(stubDir, 'ps.json'), [
+      '{"ID":"4f3c2a1b0e9d8c7b","Names":"web","Image":"nginx:latest","Ports":"0.0.0.0:8080->80/tcp, [::]:8080->80/tcp"}',
+      '{"ID":"a1b2c3d4e5f6a7b8","Names":"db","Image":"postgres:16","Ports":"127.0.0.1:5432->5432/tcp"}',
+      '{"ID":"0123456789ab","Names":"worker","Image":"busybox","Ports":""}',
+    ].join('\n'));
+    fs.writeFileSync(path.join(stubDir, 'docker'), [
+      '#!/bin/sh',
+      'case "$1" in',
+      '  ps) cat "$(dirname "$0")/ps.json" ;;',
+      '  stop) echo "$@" >> "$(dirname "$0")/stop.log" ;;',
+      '  *) exit 1 ;;',
+      'esac',
+    ].join('\n'), { mode: 0o755 });
+
+    process.env.PORT_CLIENT_DOCKER = path.join(stubDir, 'docker');
+    execCommand.mockImplementation(realExec);
+  });
+
+  afterEach(() => {
+    delete process.env.PORT_CLIENT_DOCKER;
+    fs.rmSync(stubDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('should parse published port mappings', () => {
+    expect(parsePublishedPorts('0.0.0.0:8000-8001->80-81/tcp, :::53->53/udp, 9000/tcp')).toEqual([
+      { hostAddress: '0.0.0.0', hostPort: 8000, containerPort: 80, protocol: 'tcp' },
+      { hostAddress: '0.0.0.0', hostPort: 8001, containerPort: 81, protocol: 'tcp' },
+      { hostAddress: '::', hostPort: 53, containerPort: 53, protocol: 'udp' },
+    ]);
+  });
+
+  test('should find the container publishing a port and stop it', async () => {
+    await expect(findContainers(8080, 'tcp')).resolves.toEqual([{ id: '4f3c2a1b0e9d8c7b', name: 'web', image: 'nginx:latest' }]);
+    await expect(findContainers(8080, 'udp')).resolves.toEqual([]);
+
+    const step = await stopContainers([{ id: 'a1b2c3d4e5f6a7b8', name: 'db', image: 'postgres:16' }], 10000);
+    expect(step.error).toBeNull();
+    expect(fs.readFileSync(stopLog, 'utf8').trim()).toBe('stop -t 10 a1b2c3d4e5f6a7b8');
+  });
+
+  test('should report the container behind docker-proxy when checking', async () => {
+    execCommand.mockImplementation((file, args) => (file === 'lsof'
+      ? Promise.resolve({ stdout: PROXY_SOCKET, stderr: '', code: 0 })
+      : realExec(file, args)));
+
+    const [result] = await runPortClient(8080, { backend: 'lsof', reporter: false });
+
+    expect(result).toMatchObject({ status: 'active', pids: [4242], containers: [{ id: '4f3c2a1b0e9d8c7b', name: 'web', image: 'nginx:latest' }] });
+  });
+
+  test('should stop the container instead of killing docker-proxy', async () => {
+    execCommand.mockImplementation((file, args) => (file === 'lsof'
+      ? Promise.resolve({ stdout: fs.existsSync(stopLog) ? '' : PROXY_SOCKET, stderr: '', code: 0 })
+      : realExec(file, args)));
+    const killSpy = jest.spyOn(process, 'kill');
+
+    const [result] = await runPortClient(8080, { action: 'kill', backend: 'lsof', history: false, reporter: false });
+
+    expect(result).toMatchObject({ status: 'killed', success: true, signal: 'docker stop', containers: [{ name: 'web' }] });
+    expect(fs.readFileSync(stopLog, 'utf8').trim()).toBe('stop -t 0 4f3c2a1b0e9d8c7b');
+    expect(killSpy).not.toHaveBeenCalled();
+    killSpy.mockRestore();
+  });
+
+  test('should refuse to kill docker-proxy when container lookup is disabled', async () => {
+    execCommand.mockImplementation((file, args) => {
+      if (file === 'lsof') return Promise.resolve({ stdout: PROXY_SOCKET, stderr: '', code: 0 });
+      if (file === 'ps' && args[1] === 'pid=,comm=') return Promise.resolve({ stdout: '4242 docker-proxy', stderr: '', code: 0 });
+      if (file === 'ps' && args[0] === '-o') return Promise.resolve({ stdout: '4242 1 0 root 01:00 /usr/bin/docker-proxy -proto tcp', stderr: '', code: 0 });
+      return realExec(file, args);
+    });
+
+    const [result] = await runPortClient(8080, { action: 'kill', backend: 'lsof', docker: false, forceOtherUsers: true, history: false, reporter: false });
+
+    expect(result).toMatchObject({ status: 'failed', success: false, error: 'Refusing to kill: PID 4242 docker-proxy is a protected process' });
+    expect(fs.existsSync(stopLog)).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+// filter.test.js
+const { compileFilter } = require('../dist/filter.js');
+
+const target = {
+  pid: 1234,
+  ppid: 1,
+  name: 'node',
+  cmd: 'node node_modules/.bin/vite --port 3000',
+  user: 'alice',
+  state: 'LISTEN',
+  cwd: '/home/alice/app',
+  protocol: 'tcp',
+};
+
+describe('Filter expressions', () => {
+  test('should match simple conditions', () => {
+    expect(compileFilter('name=node')(target)).toBe(true);
+    expect(compileFilter('name=NODE')(target)).toBe(true);
+    expect(compileFilter('pid=1234')(target)).toBe(true);
+    expect(compileFilter('pid=12')(target)).toBe(false);
+    expect(compileFilter('state!=LISTEN')(target)).toBe(false);
+    expect(compileFilter('cmd~/vite/')(target)).toBe(true);
+    expect(compileFilter('cmd~/VITE/')(target)).toBe(false);
+  });
+
+  test('should combine conditions with AND, OR, NOT and parentheses', () => {
+    expect(compileFilter('name=node AND state=LISTEN')(target)).toBe(true);
+    expect(compileFilter('name=node state=ESTABLISHED')(target)).toBe(false);
+    expect(compileFilter('name=java OR cmd~/vite dev|vite/')(target)).toBe(true);
+    expect(compileFilter('NOT user=bob && !name=java')(target)).toBe(true);
+    expect(compileFilter('(name=java OR name=node) AND NOT pid=1234')(target)).toBe(false);
+  });
+
+  test('should expand environment variables', () => {
+    process.env.PORT_CLIENT_TEST_USER = 'alice';
+    expect(compileFilter('user=$PORT_CLIENT_TEST_USER')(target)).toBe(true);
+    delete process.env.PORT_CLIENT_TEST_USER;
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => compileFilter('node')).toThrow('Invalid filter: expected field=value but got "node"');
+    expect(() => compileFilter('color=red')).toThrow('unknown field "color"');
+    expect(() => compileFilter('(name=node')).toThrow('missing closing parenthesis');
+    expect(() => compileFilter('name=node AND')).toThrow('unexpected end of expression');
+  });
+});
@@ -0,0 +1,65 @@
+// freePort.test.js
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { findFreePort, releasePort, tryBind, parseRange } = require('../dist/free-port.js');
+
+describe('Free port discovery', () => {
+  let leaseDir;
+  let server;
+
+  beforeEach(async () => {
+    leaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-leases-'));
+    server = net.createServer().listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(leaseDir, { recursive: true, force: true });
+  });
+
+  test('should validate ranges', () => {
+    expect(parseRange('3000-3100')).toEqual([3000, 3100]);
+    expect(() => parseRange('3100-3000')).toThrow('Invalid port range: 3100-3000');
+    expect(() => parseRange('0-10')).toThrow('Invalid port range');
+  });
+
+  test('should skip ports that cannot be bound', async () => {
+    const { port } = server.address();
+
+    await expect(tryBind(port, '127.0.0.1')).resolves.toBe(false);
+    const found = await findFreePort({ range: [port, port + 20], host: '127.0.0.1' });
+    expect(found).toBeGreaterThan(port);
+  });
+
+  test('should honour excluded ports', async () => {
+    const { port } = server.address();
+    const found = await findFreePort({ range: [port, port + 20], host: '127.0.0.1', exclude: [port + 1] });
+    expect(found).not.toBe(port + 1);
+  });
+
+  test('should not hand out a leased port twice until it is released', async () => {
+    const { port } = server.address();
+    const range = [port + 1, port + 20];
+
+    const first = await findFreePort({ range, host: '127.0.0.1', lease: true, leaseDir });
+    const second = await findFreePort({ range, host: '127.0.0.1', lease: true, leaseDir });
+    expect(second).not.toBe(first);
+
+    releasePort(first, leaseDir);
+    const third = await findFreePort({ range, host: '127.0.0.1', lease: true, leaseDir });
+    expect(third).toBe(first);
+  });
+
+  test('should reuse leases that have expired', async () => {
+    const { port } = server.address();
+    const range = [port + 1, port + 20];
+
+    const first = await findFreePort({ range, host: '127.0.0.1', lease: 1, leaseDir });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const second = await findFreePort({ range, host: '127.0.0.1', lease: 1, leaseDir });
+    expect(second).toBe(first);
+  });
+});
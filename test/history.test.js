@@ -0,0 +1,90 @@
+// history.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execCommand } = require('../dist/exec.js');
+const runPortClient = require('../dist/index.js');
+const { appendHistory, createHistoryEntries, readHistory, parseSince } = require('../dist/history.js');
+const { InvalidInputError } = require('../dist/errors.js');
+
+jest.mock('../dist/exec.js');
+
+const result = (fields) => ({
+  port: 3000,
+  protocol: 'tcp',
+  action: 'kill',
+  status: 'killed',
+  pids: [],
+  signal: 'SIGTERM',
+  success: true,
+  error: null,
+  processes: [],
+  ...fields,
+});
+
+describe('Kill history', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-history-'));
+    file = path.join(dir, 'nested', 'history.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('should create one entry per killed process', () => {
+    const time = new Date('2024-05-01T10:00:00Z');
+    const entries = createHistoryEntries(result({
+      pids: [123, 456],
+      processes: [{ pid: 123, name: 'node', command: 'node server.js' }],
+    }), { user: 'alice', cwd: '/srv/app', time });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ time: '2024-05-01T10:00:00.000Z', user: 'alice', cwd: '/srv/app', port: 3000, pid: 123, name: 'node', command: 'node server.js', signal: 'SIGTERM', status: 'killed' }),
+      expect.objectContaining({ pid: 456, name: null, command: null }),
+    ]);
+    expect(createHistoryEntries(result({ status: 'not-found', success: false, error: 'No process running on port' }), { user: 'alice', cwd: '/' }))
+      .toEqual([expect.objectContaining({ pid: null, success: false, error: 'No process running on port' })]);
+  });
+
+  test('should filter the log by port and time', () => {
+    const now = Date.now();
+    appendHistory([
+      createHistoryEntries(result({ port: 3000, pids: [1] }), { user: 'a', cwd: '/', time: new Date(now - 2 * 3600000) })[0],
+      createHistoryEntries(result({ port: 3001, pids: [2] }), { user: 'b', cwd: '/', time: new Date(now - 60000) })[0],
+    ], file);
+    fs.appendFileSync(file, '{"time": "2024-05');
+
+    expect(readHistory({ file }).map((entry) => entry.pid)).toEqual([1, 2]);
+    expect(readHistory({ file, ports: [3000] }).map((entry) => entry.pid)).toEqual([1]);
+    expect(readHistory({ file, since: '1h' }).map((entry) => entry.pid)).toEqual([2]);
+    expect(readHistory({ file: path.join(dir, 'missing.jsonl') })).toEqual([]);
+  });
+
+  test('should parse durations and dates for since', () => {
+    expect(parseSince('1h', 7200000)).toBe(3600000);
+    expect(parseSince('2024-05-01T00:00:00Z')).toBe(Date.parse('2024-05-01T00:00:00Z'));
+    expect(() => parseSince('soon')).toThrow(InvalidInputError);
+  });
+
+  test('should record kills made through the client', async () => {
+    execCommand.mockImplementation((command) => Promise.resolve({
+      stdout: command === 'lsof' ? 'node 123 user 20u IPv4 0x1 0t0 TCP *:8080 (LISTEN)' : '',
+      stderr: '',
+      code: 0,
+    }));
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+    await runPortClient(8080, { action: 'kill', backend: 'lsof', forceOtherUsers: true, timeout: 100, history: file, reporter: false });
+    await runPortClient(8080, { action: 'kill', backend: 'lsof', forceOtherUsers: true, timeout: 100, history: false, reporter: false });
+
+    const entries = readHistory({ file });
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ port: 8080, pid: 123, signal: 'SIGKILL', cwd: process.cwd() });
+    killSpy.mockRestore();
+  });
+});
@@ -0,0 +1,77 @@
+// kill.test.js
+const { execCommand } = require('../dist/exec.js');
+const {
+  normalizeSignal,
+  collectDescendants,
+  getTaskKillArgs,
+  runKillPipeline,
+  signalPids,
+} = require('../dist/kill.js');
+
+jest.mock('../dist/exec.js');
+
+describe('Kill pipeline', () => {
+  let alive;
+  let killSpy;
+
+  beforeEach(() => {
+    alive = new Set();
+    killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (pid === 1) throw Object.assign(new Error('kill EPERM'), { code: 'EPERM' });
+      if (!alive.has(pid)) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      if (signal === 'SIGKILL') alive.delete(pid);
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    killSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  test('should normalize signal names and numbers', () => {
+    expect(normalizeSignal('term')).toBe('SIGTERM');
+    expect(normalizeSignal('SIGHUP')).toBe('SIGHUP');
+    expect(normalizeSignal(9)).toBe('SIGKILL');
+    expect(() => normalizeSignal('SIGNOPE')).toThrow('Unknown signal: SIGNOPE');
+  });
+
+  test('should collect every descendant from ps output', () => {
+    const ps = '  1     0\n 10     1\n 11    10\n 12    11\n 20     1\n';
+    expect(collectDescendants([10], ps)).toEqual([10, 11, 12]);
+  });
+
+  test('should build TaskKill arguments for Windows', () => {
+    expect(getTaskKillArgs([1, 2], 'SIGTERM', true)).toEqual(['/T', '/PID', '1', '/PID', '2']);
+    expect(getTaskKillArgs([1], 'SIGKILL')).toEqual(['/F', '/PID', '1']);
+  });
+
+  test('should signal PIDs directly and report only real failures', async () => {
+    alive.add(42);
+
+    await expect(signalPids([42, 43], 'SIGTERM', 'linux')).resolves.toBeNull();
+    expect(killSpy).toHaveBeenCalledWith(42, 'SIGTERM');
+    await expect(signalPids([1], 'SIGTERM', 'linux')).resolves.toBe('Failed to send SIGTERM to PID 1: permission denied');
+    expect(execCommand).not.toHaveBeenCalled();
+
+    execCommand.mockResolvedValue({ stdout: '', stderr: '', code: 0 });
+    await expect(signalPids([42], 'SIGKILL', 'win32', true)).resolves.toBeNull();
+    expect(execCommand).toHaveBeenCalledWith('taskkill', ['/F', '/T', '/PID', '42']);
+  });
+
+  test('should escalate to SIGKILL when the process ignores the first signal', async () => {
+    alive.add(42);
+    const client = {
+      platform: 'linux',
+      log: jest.fn(),
+      findPids: jest.fn(async () => [...alive]),
+    };
+
+    const steps = await runKillPipeline(client, 3000, [42], { signal: 'SIGTERM', timeout: 200 });
+
+    expect(steps.map(({ signal, exited, portFreed }) => [signal, exited, portFreed])).toEqual([
+      ['SIGTERM', [], false],
+      ['SIGKILL', [42], true],
+    ]);
+  });
+});
@@ -1,113 +1,144 @@
 // portClient.test.js
-const sh = require('shell-exec'); // Shell execution module
 const readline = require('readline');
-const PortClient = require('../index.js'); // Assuming the class is in portClient.js
+const { execCommand } = require('../dist/exec.js');
+const { PortClient } = require('../dist/index.js');
 
-jest.mock('shell-exec');
+jest.mock('../dist/exec.js');
 jest.mock('readline');
 
+const LISTENING = 'node 123 user 20u IPv4 0x1 0t0 TCP *:8080 (LISTEN)\nnode 123 user 21u IPv4 0x2 0t0 TCP *:8081 (LISTEN)';
+
 // Test suite for PortClient
 describe('PortClient Tests', () => {
+  let consoleSpy;
+
+  beforeEach(() => {
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+  });
+
   afterEach(() => {
+    consoleSpy.mockRestore();
     jest.clearAllMocks();
   });
 
   test('should parse single port correctly', () => {
-    const client = new PortClient(8080, { verbose: true });
-    const parsedPorts = client.parsePorts();
-    expect(parsedPorts).toEqual([8080]);
+    const client = new PortClient(8080, { config: false });
+    expect(client.parsePorts()).toEqual([8080]);
   });
 
   test('should parse range of ports correctly', () => {
-    const client = new PortClient(null, { range: '8080-8082', verbose: true });
-    const parsedPorts = client.parsePorts();
-    expect(parsedPorts).toEqual([8080, 8081, 8082]);
+    const client = new PortClient(null, { range: '8080-8082', config: false });
+    expect(client.parsePorts()).toEqual([8080, 8081, 8082]);
   });
 
   test('should parse an array of ports correctly', () => {
-    const client = new PortClient([8080, 8081, 8082], { verbose: true });
-    const parsedPorts = client.parsePorts();
-    expect(parsedPorts).toEqual([8080, 8081, 8082]);
+    const client = new PortClient([8080, 8081, 8082], { config: false });
+    expect(client.parsePorts()).toEqual([8080, 8081, 8082]);
   });
 
   test('should throw error if no valid ports provided', async () => {
-    const client = new PortClient(null, { verbose: true });
+    const client = new PortClient(null, { config: false });
     await expect(client.execute()).rejects.toThrow('Invalid or no port(s) provided.');
   });
 
-  test('should list active ports for Unix-like systems', async () => {
-    const mockShellResponse = { stdout: 'tcp 0 0 0.0.0.0:8080 0.0.0.0:* LISTEN' };
-    sh.mockResolvedValue(mockShellResponse);
+  test('should list active ports', async () => {
+    execCommand.mockResolvedValue({ stdout: LISTENING, stderr: '', code: 0 });
 
-    const client = new PortClient(8080, { method: 'tcp', speed: 'safe' });
-    const activePorts = await client.listActivePorts();
-    expect(activePorts).toEqual(['8080']);
+    const client = new PortClient(null, { backend: 'lsof', config: false });
+    expect(await client.listActivePorts()).toEqual(['8080', '8081']);
   });
 
   test('should list active ports for Windows systems', async () => {
-    const mockShellResponse = { stdout: 'TCP    0.0.0.0:8080              0.0.0.0:*               LISTENING       1234' };
-    sh.mockResolvedValue(mockShellResponse);
+    execCommand.mockResolvedValue({
+      stdout: '  TCP    0.0.0.0:8080           0.0.0.0:0              LISTENING       1234',
+      stderr: '',
+      code: 0,
+    });
 
-    const client = new PortClient(8080, { method: 'tcp', speed: 'safe' });
+    const client = new PortClient(null, { backend: 'netstat', config: false });
     client.platform = 'win32'; // Mock Windows platform
-    const activePorts = await client.listActivePorts();
-    expect(activePorts).toEqual(['8080']);
+    expect(await client.listActivePorts()).toEqual(['8080']);
   });
 
   test('should correctly handle dry run', async () => {
-    const client = new PortClient(8080, { dryRun: true, verbose: true });
-    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    
-    await client.execute();
-    
-    expect(consoleSpy).toHaveBeenCalledWith('Dry run: Ports to operate on - 8080');
-    consoleSpy.mockRestore();
+    const client = new PortClient(8080, { dryRun: true, config: false });
+
+    const results = await client.execute();
+
+    expect(consoleSpy).toHaveBeenCalledWith('\x1b[32m%s\x1b[0m', 'Dry run: Ports to operate on - 8080');
+    expect(results).toEqual([expect.objectContaining({ port: 8080, status: 'dry-run' })]);
+    expect(execCommand).not.toHaveBeenCalled();
   });
 
   test('should successfully kill ports', async () => {
-    const mockShellResponse = { stdout: 'Process killed successfully' };
-    sh.mockResolvedValue(mockShellResponse);
+    let killed = false;
+    execCommand.mockImplementation(async () => ({ stdout: killed ? '' : LISTENING, stderr: '', code: 0 }));
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (signal !== 0) killed = true;
+      else if (killed) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      return true;
+    });
+
+    const client = new PortClient(8080, { action: 'kill', backend: 'lsof', forceOtherUsers: true, history: false, config: false, reporter: false });
+    const [result] = await client.execute();
+
+    expect(killSpy).toHaveBeenCalledWith(123, 'SIGKILL');
+    expect(result).toMatchObject({ port: 8080, status: 'killed', pids: [123], success: true });
+    killSpy.mockRestore();
+  });
 
-    const client = new PortClient(8080, { action: 'kill', verbose: true });
-    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    
-    await client.execute();
-    
-    expect(consoleSpy).toHaveBeenCalledWith('Executing: kill -9 8080');
-    expect(consoleSpy).toHaveBeenCalledWith('Successfully killed port 8080 Process killed successfully');
-    consoleSpy.mockRestore();
+  test('should ask for confirmation when only stdout is piped', async () => {
+    execCommand.mockResolvedValue({ stdout: LISTENING, stderr: '', code: 0 });
+    readline.createInterface.mockReturnValue({ question: jest.fn((query, callback) => callback('n')), close: jest.fn() });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    const tty = { stdin: process.stdin.isTTY, stdout: process.stdout.isTTY, stderr: process.stderr.isTTY };
+    Object.assign(process.stdin, { isTTY: true });
+    Object.assign(process.stderr, { isTTY: true });
+    Object.assign(process.stdout, { isTTY: false });
+
+    try {
+      const client = new PortClient(8080, { action: 'kill', backend: 'lsof', forceOtherUsers: true, history: false, config: false, reporter: false });
+      const [result] = await client.execute();
+
+      expect(readline.createInterface).toHaveBeenCalledWith({ input: process.stdin, output: process.stderr });
+      expect(result).toMatchObject({ status: 'failed', success: false, error: 'Kill cancelled' });
+      expect(killSpy).not.toHaveBeenCalledWith(123, 'SIGKILL');
+    } finally {
+      Object.assign(process.stdin, { isTTY: tty.stdin });
+      Object.assign(process.stdout, { isTTY: tty.stdout });
+      Object.assign(process.stderr, { isTTY: tty.stderr });
+      killSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
   });
 
   test('should handle error when killing non-existent port', async () => {
-    const mockShellResponse = { stdout: '' };
-    sh.mockRejectedValue(new Error('No process found for port'));
+    execCommand.mockResolvedValue({ stdout: '', stderr: '', code: 0 });
 
-    const client = new PortClient(8080, { action: 'kill', verbose: true });
-    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    
-    await client.execute();
-    
-    expect(consoleSpy).toHaveBeenCalledWith('Failed to kill port 8080: No process found for port');
-    consoleSpy.mockRestore();
+    const client = new PortClient(8080, { action: 'kill', backend: 'lsof', history: false, config: false, reporter: false });
+    const [result] = await client.execute();
+
+    expect(result).toMatchObject({ status: 'not-found', success: false, error: 'No process running on port' });
   });
 
   test('should ask user to select ports interactively', async () => {
-    const mockActivePorts = ['8080', '8081', '8082'];
-    const mockSelectedPorts = [8080, 8081];
-
+    execCommand.mockResolvedValue({ stdout: LISTENING, stderr: '', code: 0 });
     const rlMock = {
       question: jest.fn().mockImplementation((query, callback) => callback('1,2')),
       close: jest.fn(),
     };
     readline.createInterface.mockReturnValue(rlMock);
+    const { isTTY } = process.stdin;
+    process.stdin.isTTY = false; // Use the numbered prompt instead of the TUI
 
-    const client = new PortClient(8080, { interactive: true, verbose: true });
+    const client = new PortClient(null, { interactive: true, backend: 'lsof', config: false, reporter: false });
     const handlePortsSpy = jest.spyOn(client, 'handlePorts');
-    
+
     await client.execute();
-    
-    expect(handlePortsSpy).toHaveBeenCalledWith(mockSelectedPorts);
+    process.stdin.isTTY = isTTY;
+
+    expect(handlePortsSpy).toHaveBeenCalledWith([8080, 8081]);
     expect(rlMock.close).toHaveBeenCalled();
   });
 });
-
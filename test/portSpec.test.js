@@ -0,0 +1,60 @@
+// portSpec.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parsePortSpec, parseServices, resolveService } = require('../dist/port-spec.js');
+const runPortClient = require('../dist/index.js');
+
+describe('Port specs', () => {
+  let servicesFile;
+
+  beforeAll(() => {
+    servicesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-services-')), 'services');
+    fs.writeFileSync(servicesFile, [
+      '# comment',
+      'http\t\t80/tcp\t\twww\t# WorldWideWeb HTTP',
+      'postgresql\t5432/tcp\tpostgres',
+      'syslog\t\t514/udp',
+      'shell\t\t514/tcp\t\tcmd',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(servicesFile), { recursive: true, force: true });
+  });
+
+  test('should combine lists, ranges, exclusions and service names', () => {
+    expect(parsePortSpec('3000,3005-3010,!3007,postgres,http-alt', { servicesFile }))
+      .toEqual([3000, 3005, 3006, 3008, 3009, 3010, 5432, 8080]);
+    expect(parsePortSpec([3000, '3001-3002', '!3000'])).toEqual([3001, 3002]);
+    expect(parsePortSpec('80 www 80', { servicesFile })).toEqual([80]);
+    expect(parsePortSpec(null)).toEqual([]);
+  });
+
+  test('should validate bounds and reversed ranges', () => {
+    expect(() => parsePortSpec('0')).toThrow('Invalid port: 0 (expected 1-65535)');
+    expect(() => parsePortSpec('65536')).toThrow('Invalid port: 65536');
+    expect(() => parsePortSpec('3010-3005')).toThrow('Invalid port range: 3010-3005 (start is greater than end)');
+    expect(() => parsePortSpec('1-70000')).toThrow('Invalid port range: 1-70000');
+    expect(() => parsePortSpec('30x0')).toThrow('Invalid port: 30x0');
+    expect(() => parsePortSpec('nope-not-a-service', { servicesFile })).toThrow('Unknown service: nope-not-a-service');
+  });
+
+  test('should resolve service names per protocol with a built-in fallback', () => {
+    expect(parseServices('shell 514/tcp cmd\nsyslog 514/udp').get('cmd/tcp')).toBe(514);
+    expect(resolveService('syslog', 'udp', servicesFile)).toBe(514);
+    expect(resolveService('HTTP', 'tcp', servicesFile)).toBe(80);
+    expect(resolveService('redis', 'tcp', path.join(os.tmpdir(), 'missing-services'))).toBe(6379);
+  });
+
+  test('should only accept tcp and udp as protocols', async () => {
+    await expect(runPortClient(3000, { method: 'tcp;touch /tmp/owned', reporter: false })).rejects.toThrow('Invalid protocol: tcp;touch /tmp/owned (expected tcp or udp)');
+    await expect(runPortClient.findFreePort({ protocol: 'sctp' })).rejects.toThrow('Invalid protocol: sctp');
+    await expect(runPortClient.waitForPort('3000 || true', { timeout: 10 })).rejects.toThrow('Invalid port: 3000 || true');
+  });
+
+  test('should reject invalid specs through the API', async () => {
+    await expect(runPortClient('3000-2000', { reporter: false })).rejects.toThrow('start is greater than end');
+    await expect(runPortClient(null, { range: '5000-4000', reporter: false })).rejects.toThrow('Invalid port range');
+  });
+});
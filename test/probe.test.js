@@ -0,0 +1,98 @@
+// probe.test.js
+const net = require('net');
+const http = require('http');
+const { parseProbeTargets, probeTarget } = require('../dist/probe.js');
+const { mapLimit } = require('../dist/utils.js');
+const { probePorts } = require('../dist/index.js');
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+describe('Probing', () => {
+  let tcpServer;
+  let httpServer;
+  let tcpPort;
+  let httpPort;
+  let closedPort;
+
+  beforeAll(async () => {
+    tcpServer = net.createServer((socket) => socket.destroy());
+    httpServer = http.createServer((req, res) => {
+      res.statusCode = req.url === '/health' ? 200 : 503;
+      res.end();
+    });
+    tcpPort = await listen(tcpServer);
+    httpPort = await listen(httpServer);
+
+    const spare = net.createServer();
+    closedPort = await listen(spare);
+    await close(spare);
+  });
+
+  afterAll(async () => {
+    await close(tcpServer);
+    await close(httpServer);
+  });
+
+  test('should expand host:port specs and bare ports across hosts', () => {
+    expect(parseProbeTargets(['staging.local:80,443', '[::1]:8080', '3000-3001,!3001', 'db:postgres'], ['a', 'b'])).toEqual([
+      { host: 'staging.local', port: 80 },
+      { host: 'staging.local', port: 443 },
+      { host: '::1', port: 8080 },
+      { host: 'db', port: 5432 },
+      { host: 'a', port: 3000 },
+      { host: 'b', port: 3000 },
+    ]);
+    expect(parseProbeTargets('10.0.0.5:22 10.0.0.5:22', ['localhost'], { range: '9000-9001' })).toEqual([
+      { host: '10.0.0.5', port: 22 },
+      { host: 'localhost', port: 9000 },
+      { host: 'localhost', port: 9001 },
+    ]);
+    expect(() => parseProbeTargets('host:0', ['localhost'])).toThrow('Invalid port: 0');
+  });
+
+  test('should report latency for reachable ports and the reason otherwise', async () => {
+    const open = await probeTarget('127.0.0.1', tcpPort, { timeout: 1000 });
+    expect(open).toMatchObject({ connected: true, error: null, probe: { host: '127.0.0.1', tls: null, http: null } });
+    expect(open.probe.latency).toEqual(expect.any(Number));
+
+    await expect(probeTarget('127.0.0.1', closedPort, { timeout: 1000 })).resolves.toMatchObject({
+      connected: false,
+      error: 'ECONNREFUSED',
+      probe: { latency: null },
+    });
+  });
+
+  test('should check an HTTP health path', async () => {
+    const healthy = await probeTarget('127.0.0.1', httpPort, { httpPath: '/health' });
+    expect(healthy).toMatchObject({ error: null, probe: { http: { path: '/health', status: 200 } } });
+
+    const unhealthy = await probeTarget('127.0.0.1', httpPort, { httpPath: '/ready' });
+    expect(unhealthy).toMatchObject({ connected: true, error: 'HTTP 503 from /ready', probe: { http: { status: 503 } } });
+  });
+
+  test('should return one result per target through the API', async () => {
+    const results = await probePorts(`${tcpPort},${closedPort}`, { host: '127.0.0.1', timeout: 1000 });
+
+    expect(results).toMatchObject([
+      { port: tcpPort, action: 'probe', status: 'active', success: true, probe: { host: '127.0.0.1' } },
+      { port: closedPort, action: 'probe', status: 'inactive', success: false, error: 'ECONNREFUSED' },
+    ]);
+    await expect(probePorts(tcpPort, { method: 'udp' })).rejects.toThrow('Probing is only supported over tcp');
+  });
+
+  test('should never run more than the concurrency limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapLimit([1, 2, 3, 4, 5], 2, async (value) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      running--;
+      return value * 2;
+    });
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(peak).toBe(2);
+  });
+});
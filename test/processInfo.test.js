@@ -0,0 +1,92 @@
+// processInfo.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseElapsed,
+  parsePsOutput,
+  parsePsNames,
+  restoreUserNames,
+  parseLsofCwd,
+  readProcIdentity,
+  parseTasklistOutput,
+  mergeWmicOutput,
+} = require('../dist/process-info.js');
+const { parsePasswd } = require('../dist/backends.js');
+
+describe('Process info parsing', () => {
+  test('should parse ps elapsed time formats', () => {
+    expect(parseElapsed('05:07')).toBe(307);
+    expect(parseElapsed('02:05:07')).toBe(7507);
+    expect(parseElapsed('3-02:05:07')).toBe(266707);
+    expect(parseElapsed('garbage')).toBeNull();
+  });
+
+  test('should parse ps output into process details', () => {
+    const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+    const stdout = '  123     1  1000 alice      01:30 node server.js --port 3000\n';
+
+    expect(parsePsOutput(stdout, now)).toEqual([{
+      pid: 123,
+      name: 'node',
+      command: 'node server.js --port 3000',
+      user: 'alice',
+      uid: 1000,
+      cwd: null,
+      ppid: 1,
+      startTime: new Date(now - 90 * 1000),
+      uptime: 90,
+    }]);
+  });
+
+  test('should read process names that contain spaces', () => {
+    const names = parsePsNames('  123 my server\n 4567 /usr/sbin/sshd\n');
+
+    expect(names.get(123)).toBe('my server');
+    expect(names.get(4567)).toBe('sshd');
+    expect(parsePsOutput('  123     1  1000 alice      01:30 ./my server --port 3000\n')[0]).toMatchObject({ command: './my server --port 3000' });
+  });
+
+  test('should restore user names that ps shortened', () => {
+    const users = parsePasswd('root:x:0:0:root:/root:/bin/bash\nalexandra:x:1000:1000::/home/alexandra:/bin/sh\n');
+    const processes = parsePsOutput('  123     1  1000 alexand+   01:30 node server.js\n  124     1  1001 bartholo+  01:30 node\n');
+
+    expect(restoreUserNames(processes, users).map((info) => info.user)).toEqual(['alexandra', 'bartholo+']);
+  });
+
+  test('should read a process name and owner from /proc', () => {
+    const procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-proc-'));
+    fs.mkdirSync(path.join(procRoot, '77'));
+    fs.writeFileSync(path.join(procRoot, '77', 'comm'), 'postgres\n');
+
+    expect(readProcIdentity(77, procRoot)).toEqual({ name: 'postgres', uid: fs.statSync(path.join(procRoot, '77')).uid });
+    expect(readProcIdentity(78, procRoot)).toBeNull();
+    fs.rmSync(procRoot, { recursive: true, force: true });
+  });
+
+  test('should map lsof cwd field output by pid', () => {
+    const cwds = parseLsofCwd('p123\nfcwd\nn/home/alice/app\np456\nfcwd\nn/srv\n');
+    expect(cwds.get(123)).toBe('/home/alice/app');
+    expect(cwds.get(456)).toBe('/srv');
+  });
+
+  test('should combine tasklist and wmic output on Windows', () => {
+    const tasklist = '"node.exe","4242","Console","1","45,000 K","Running","PC\\alice","0:00:01","N/A"\r\n';
+    const wmic = [
+      'Node,CommandLine,CreationDate,ParentProcessId,ProcessId',
+      'PC,node server.js --a=1,2,20240101120000.000000+000,100,4242',
+    ].join('\r\n');
+    const now = Date.UTC(2024, 0, 1, 12, 1, 0);
+
+    const [info] = mergeWmicOutput(parseTasklistOutput(tasklist), wmic, now);
+
+    expect(info).toMatchObject({
+      pid: 4242,
+      name: 'node.exe',
+      command: 'node server.js --a=1,2',
+      user: 'PC\\alice',
+      ppid: 100,
+      uptime: 60,
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// processPorts.test.js
+const { execCommand } = require('../dist/exec.js');
+const runPortClient = require('../dist/index.js');
+const { portsByProcess, InvalidInputError } = runPortClient;
+
+jest.mock('../dist/exec.js');
+
+const LISTINGS = {
+  tcp: [
+    'node 123 user 20u IPv4 0x1 0t0 TCP *:3000 (LISTEN)',
+    'node 123 user 21u IPv6 0x2 0t0 TCP [::1]:9229 (LISTEN)',
+    'node 123 user 22u IPv4 0x3 0t0 TCP 127.0.0.1:51000->127.0.0.1:5432 (ESTABLISHED)',
+    'java 456 user 20u IPv4 0x4 0t0 TCP *:8080 (LISTEN)',
+  ],
+  udp: [
+    'node 123 user 23u IPv4 0x5 0t0 UDP *:5353',
+  ],
+};
+
+const PS = '  123     1  1000 user  01:00 node server.js\n  456     1  1000 user  02:00 java -jar app.jar';
+const NAMES = '  123 node\n  456 java';
+
+describe('Ports by process', () => {
+  let killed;
+  let killSpy;
+
+  beforeEach(() => {
+    killed = [];
+    execCommand.mockImplementation(async (file, args) => {
+      const command = [file, ...args].join(' ');
+      if (command.startsWith('ps -o pid=,comm=')) return { stdout: NAMES, stderr: '', code: 0 };
+      if (command.startsWith('ps -o')) return { stdout: PS, stderr: '', code: 0 };
+      const protocol = command.startsWith('lsof -i udp') ? 'udp' : command.startsWith('lsof -i tcp') ? 'tcp' : null;
+      const stdout = protocol
+        ? LISTINGS[protocol].filter((line) => !killed.includes(Number(line.split(' ')[1]))).join('\n')
+        : '';
+      return { stdout, stderr: '', code: 0 };
+    });
+    killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (killed.includes(pid)) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      if (signal !== 0) killed.push(pid);
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    killSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  test('should list the TCP and UDP ports a PID listens on', async () => {
+    const results = await portsByProcess(123, { backend: 'lsof', config: false });
+
+    expect(results.map((result) => [result.port, result.protocol, result.pids])).toEqual([
+      [3000, 'tcp', [123]],
+      [5353, 'udp', [123]],
+      [9229, 'tcp', [123]],
+    ]);
+    expect(results[0].processes).toEqual([expect.objectContaining({ pid: 123, name: 'node', command: 'node server.js' })]);
+  });
+
+  test('should match process names and honour an explicit protocol and ports', async () => {
+    expect((await portsByProcess('JAVA', { backend: 'lsof', config: false })).map((result) => result.port)).toEqual([8080]);
+    expect((await portsByProcess('node', { backend: 'lsof', method: 'udp', config: false })).map((result) => result.port)).toEqual([5353]);
+    expect((await runPortClient(3000, { pid: 123, backend: 'lsof', config: false, reporter: false })).map((result) => result.port)).toEqual([3000]);
+    expect(await portsByProcess(789, { backend: 'lsof', config: false })).toEqual([]);
+  });
+
+  test('should release every port of the process in one run', async () => {
+    const results = await portsByProcess('node', { action: 'kill', backend: 'lsof', forceOtherUsers: true, history: false, config: false });
+
+    expect(killSpy.mock.calls.filter(([, signal]) => signal !== 0)).toEqual([[123, 'SIGKILL']]);
+    expect(results.map((result) => [result.port, result.protocol, result.status, result.signal])).toEqual([
+      [3000, 'tcp', 'killed', 'SIGKILL'],
+      [5353, 'udp', 'killed', 'SIGKILL'],
+      [9229, 'tcp', 'killed', 'SIGKILL'],
+    ]);
+    expect(killed).not.toContain(456);
+  });
+
+  test('should leave other processes sharing the ports alone', async () => {
+    LISTINGS.tcp.push('nginx 789 user 20u IPv4 0x6 0t0 TCP *:3000 (LISTEN)');
+    try {
+      const results = await portsByProcess(123, { action: 'kill', backend: 'lsof', forceOtherUsers: true, history: false, config: false });
+
+      expect(killSpy.mock.calls.filter(([, signal]) => signal !== 0)).toEqual([[123, 'SIGKILL']]);
+      expect(results.find((result) => result.port === 3000)).toMatchObject({ status: 'killed', pids: [123] });
+      expect(killed).not.toContain(789);
+    } finally {
+      LISTINGS.tcp.pop();
+    }
+  });
+
+  test('should reject invalid PIDs', async () => {
+    await expect(runPortClient(null, { pid: 'abc', reporter: false })).rejects.toThrow(InvalidInputError);
+  });
+});
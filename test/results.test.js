@@ -0,0 +1,156 @@
+// results.test.js
+const { execCommand } = require('../dist/exec.js');
+const runPortClient = require('../dist/index.js');
+
+jest.mock('../dist/exec.js');
+
+const respond = (outputs) => (file, args = []) => {
+  const command = [file, ...args].join(' ');
+  const key = Object.keys(outputs).find((prefix) => command.startsWith(prefix));
+  return Promise.resolve({ stdout: key ? outputs[key] : '', stderr: '', code: 0 });
+};
+
+describe('Structured port results', () => {
+  let consoleSpy;
+
+  beforeEach(() => {
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  test('should resolve check results with the PIDs found', async () => {
+    execCommand.mockImplementation(respond({ 'lsof -i': 'node 123 user 20u IPv4 0x1 0t0 TCP *:8080 (LISTEN)' }));
+
+    const results = await runPortClient(8080, { speed: 'fast', backend: 'lsof' });
+
+    expect(results).toEqual([{
+      port: 8080,
+      protocol: 'tcp',
+      action: 'check',
+      status: 'active',
+      pids: [123],
+      signal: null,
+      success: true,
+      error: null,
+      processes: [],
+      steps: [],
+      excluded: [],
+      containers: [],
+      probe: null,
+      connections: { listeners: [123], clients: [], states: { LISTEN: 1 } },
+    }]);
+    expect(consoleSpy).toHaveBeenCalledWith('\x1b[32m%s\x1b[0m', 'Port 8080 is active.');
+  });
+
+  test('should report the signal sent when killing', async () => {
+    let killed = false;
+    execCommand.mockImplementation((file, args) => respond({
+      'lsof -i': killed ? '' : 'node 123 user 20u IPv4 0x1 0t0 TCP *:8080 (LISTEN)\nnode 456 user 21u IPv4 0x2 0t0 TCP *:8080 (LISTEN)',
+    })(file, args));
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (signal === 0) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      killed = true;
+      return true;
+    });
+
+    const [result] = await runPortClient(8080, { action: 'kill', graceful: true, backend: 'lsof', forceOtherUsers: true, history: false, reporter: false });
+
+    expect(killSpy).toHaveBeenCalledWith(123, 'SIGTERM');
+    expect(killSpy).toHaveBeenCalledWith(456, 'SIGTERM');
+    expect(result).toMatchObject({ status: 'killed', pids: [123, 456], signal: 'SIGTERM', success: true });
+    expect(result.steps).toHaveLength(1);
+    expect(consoleSpy).not.toHaveBeenCalled();
+    killSpy.mockRestore();
+  });
+
+  test('should apply the safety rules to the socket owner when ps gives no details', async () => {
+    execCommand.mockImplementation(respond({ 'lsof -i': 'postgres 123 root 20u IPv4 0x1 0t0 TCP *:5432 (LISTEN)' }));
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+    const [result] = await runPortClient(5432, { action: 'kill', backend: 'lsof', forceOtherUsers: true, history: false, reporter: false });
+
+    expect(result).toMatchObject({ status: 'failed', success: false, error: 'Refusing to kill: PID 123 postgres is a protected process' });
+    expect(killSpy).not.toHaveBeenCalled();
+    killSpy.mockRestore();
+  });
+
+  test('should report a failure when nothing holds the port', async () => {
+    execCommand.mockImplementation(respond({}));
+
+    const [result] = await runPortClient(8080, { action: 'kill', backend: 'lsof', history: false, reporter: false });
+
+    expect(result).toMatchObject({ status: 'not-found', success: false, error: 'No process running on port' });
+  });
+
+  test('should explain a port held only by TIME_WAIT connections', async () => {
+    execCommand.mockImplementation(respond({
+      ss: 'TIME-WAIT 0 0 127.0.0.1:8080 127.0.0.1:51000\nTIME-WAIT 0 0 127.0.0.1:8080 127.0.0.1:51002',
+    }));
+
+    const [check] = await runPortClient(8080, { backend: 'ss', reporter: false });
+    const [kill] = await runPortClient(8080, { action: 'kill', backend: 'ss', history: false, reporter: false });
+
+    expect(check).toMatchObject({ status: 'inactive', connections: { listeners: [], clients: [], states: { TIME_WAIT: 2 } } });
+    expect(kill).toMatchObject({
+      status: 'not-found',
+      error: 'No process running on port, only 2 closed connection(s) in TIME_WAIT that the kernel releases on its own',
+    });
+  });
+
+  test('should plan a dry-run kill without sending signals', async () => {
+    execCommand.mockImplementation(respond({
+      'lsof -i': 'node 123 user 20u IPv4 0x1 0t0 TCP *:8080 (LISTEN)\nnode 456 user 21u IPv4 0x2 0t0 TCP *:8080 (LISTEN)',
+    }));
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+    const [plan] = await runPortClient(8080, { action: 'kill', dryRun: true, graceful: true, filter: 'pid=123', forceOtherUsers: true, backend: 'lsof', reporter: false });
+
+    expect(killSpy).not.toHaveBeenCalled();
+    expect(plan).toMatchObject({ status: 'dry-run', action: 'kill', pids: [123], signal: 'SIGTERM', success: true, error: null });
+    expect(plan.steps.map((step) => [step.signal, step.pids])).toEqual([['SIGTERM', [123]], ['SIGKILL', [123]]]);
+    expect(plan.excluded).toEqual([{ pid: 456, name: null, reason: 'does not match filter pid=123' }]);
+
+    execCommand.mockImplementation(respond({}));
+    const [result] = await runPortClient(8080, { action: 'kill', backend: 'lsof', history: false, reporter: false });
+    expect(Object.keys(plan)).toEqual(Object.keys(result));
+    killSpy.mockRestore();
+  });
+
+  test('should report an error when the forced backend is not installed', async () => {
+    execCommand.mockResolvedValue({ stdout: '', stderr: '', code: 127 });
+
+    const [result] = await runPortClient(8080, { backend: 'ss', reporter: false });
+
+    expect(result).toMatchObject({ status: 'error', success: false, error: 'No discovery backend available (ss: ss is not installed)' });
+  });
+});
+
+describe('Output formats and exit codes', () => {
+  const { formatTable, getExitCode, createReporter } = require('../dist/reporter.js');
+  const result = (fields) => ({
+    port: 3000, protocol: 'tcp', action: 'check', status: 'inactive', pids: [], signal: null, success: true, error: null, processes: [], steps: [], excluded: [], ...fields,
+  });
+
+  test('should format results as an aligned table', () => {
+    expect(formatTable([result({ status: 'active', pids: [12, 34] }), result({ port: 80 })])).toBe([
+      'PORT  PROTOCOL  STATUS    PIDS   SIGNAL  ERROR',
+      '3000  tcp       active    12,34  -',
+      '80    tcp       inactive  -      -',
+    ].join('\n'));
+  });
+
+  test('should map results to documented exit codes', () => {
+    expect(getExitCode([result()], 'check')).toBe(0);
+    expect(getExitCode([result(), result({ status: 'active' })], 'check')).toBe(1);
+    expect(getExitCode([result({ action: 'kill', status: 'killed' })], 'kill')).toBe(0);
+    expect(getExitCode([result({ action: 'kill', status: 'not-found', success: false })], 'kill')).toBe(2);
+  });
+
+  test('should reject unknown output formats', () => {
+    expect(() => createReporter('xml')).toThrow('Unknown output format: xml');
+  });
+});
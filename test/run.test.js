@@ -0,0 +1,93 @@
+// run.test.js
+const { runCommand, spawnForwardingSignals, resolveCommand } = require('../dist/run.js');
+const { InvalidInputError } = require('../dist/errors.js');
+
+const node = (script) => [process.execPath, '-e', script];
+
+const createRunner = (bound) => ({
+  checkPortStatus: jest.fn(async (port) => bound.has(port)),
+  killPorts: jest.fn(async (ports) => ports.map((port) => {
+    bound.delete(port);
+    return { port, success: true, error: null };
+  })),
+  log: jest.fn(),
+});
+
+describe('Free and run', () => {
+  test('should free busy ports before running the command', async () => {
+    const bound = new Set([3000]);
+    const client = createRunner(bound);
+
+    const result = await runCommand(client, [3000, 3001], node('process.exit(4)'));
+
+    expect(client.killPorts).toHaveBeenCalledTimes(1);
+    expect(client.killPorts).toHaveBeenCalledWith([3000]);
+    expect(result).toEqual(expect.objectContaining({ ports: [3000, 3001], code: 4, signal: null, leftovers: [] }));
+    expect(result.freed).toHaveLength(1);
+  });
+
+  test('should not run the command when a port could not be freed', async () => {
+    const client = createRunner(new Set([3000]));
+    client.killPorts.mockResolvedValueOnce([{ port: 3000, success: false, error: 'Permission denied' }]);
+
+    await expect(runCommand(client, [3000], node('process.exit(0)')))
+      .rejects.toThrow('Could not free port 3000: Permission denied');
+    expect(client.log).not.toHaveBeenCalled();
+  });
+
+  test('should not run the command when a port could not be checked', async () => {
+    const client = createRunner(new Set());
+    client.checkPortStatus.mockRejectedValueOnce(new Error('No discovery backend available'));
+
+    await expect(runCommand(client, [3000], node('process.exit(0)')))
+      .rejects.toThrow('Could not check port 3000: No discovery backend available');
+    expect(client.log).not.toHaveBeenCalled();
+  });
+
+  test('should kill leftovers still holding the port after the command exited', async () => {
+    const bound = new Set();
+    const client = createRunner(bound);
+    const command = node('process.exit(0)');
+    client.log.mockImplementation((message) => {
+      // The command "forks" a child that keeps the port.
+      if (message.startsWith('Starting')) bound.add(3000);
+    });
+
+    const result = await runCommand(client, [3000], command);
+
+    expect(client.killPorts).toHaveBeenCalledWith([3000], { confirm: false });
+    expect(result.leftovers).toEqual([{ port: 3000, success: true, error: null }]);
+  });
+
+  test('should reject invalid input', async () => {
+    const client = createRunner(new Set());
+
+    await expect(runCommand(client, [], ['true'])).rejects.toThrow(InvalidInputError);
+    await expect(runCommand(client, [3000], [])).rejects.toThrow('No command given to run');
+  });
+
+  test('should report the signal that ended the command', async () => {
+    await expect(spawnForwardingSignals(node('process.kill(process.pid, "SIGTERM")')))
+      .resolves.toEqual({ code: null, signal: 'SIGTERM' });
+  });
+
+  test('should reject unknown commands', async () => {
+    await expect(spawnForwardingSignals(['port-client-missing-command'])).rejects.toThrow('Command not found: port-client-missing-command');
+    expect(process.listenerCount('SIGTERM')).toBe(0);
+  });
+
+  test('should start Windows .cmd shims through cmd.exe with every argument escaped', () => {
+    const env = { Path: 'C:\\Windows;"C:\\Program Files\\nodejs"', PATHEXT: '.COM;.EXE;.BAT;.CMD', ComSpec: 'C:\\Windows\\system32\\cmd.exe' };
+    const files = ['C:\\Program Files\\nodejs\\npm.cmd', 'C:\\Program Files\\nodejs\\node.exe'];
+    const options = { platform: 'win32', env, exists: (file) => files.includes(file) };
+
+    expect(resolveCommand(['npm', 'run', 'dev', 'a b', 'x&y'], options)).toEqual({
+      file: 'C:\\Windows\\system32\\cmd.exe',
+      args: ['/d', '/s', '/c', '"C:\\Program^ Files\\nodejs\\npm.cmd ^^^"run^^^" ^^^"dev^^^" ^^^"a^^^ b^^^" ^^^"x^^^&y^^^""'],
+      verbatim: true,
+    });
+    expect(resolveCommand(['npm', 'say "hi"'], options).args[3]).toContain(' ^^^"say^^^ \\^^^"hi\\^^^"^^^"');
+    expect(resolveCommand(['node', 'server.js'], options)).toEqual({ file: 'node', args: ['server.js'], verbatim: false });
+    expect(resolveCommand(['npm', 'run', 'dev'], { ...options, platform: 'linux' })).toEqual({ file: 'npm', args: ['run', 'dev'], verbatim: false });
+  });
+});
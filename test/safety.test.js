@@ -0,0 +1,65 @@
+// safety.test.js
+const { collectAncestors, getExclusionReason, partitionPids } = require('../dist/safety.js');
+
+const context = (fields = {}) => ({
+  protect: [],
+  allow: [],
+  user: 'alice',
+  forceOtherUsers: false,
+  force: false,
+  ancestors: [process.pid, 500],
+  ...fields,
+});
+
+const info = (pid, name, user = 'alice') => ({
+  pid, name, user, command: name, cwd: null, ppid: 1, startTime: null, uptime: null,
+});
+
+describe('Kill safety rules', () => {
+  test('should walk up the process table to collect ancestors', () => {
+    const ps = '  1     0\n 100     1\n 200   100\n 300   200\n 400     1\n';
+    expect(collectAncestors(300, ps)).toEqual([300, 200, 100, 1]);
+  });
+
+  test('should protect PID 1, port-client and its parents', () => {
+    expect(getExclusionReason(1, undefined, context())).toBe('PID 1 is protected');
+    expect(getExclusionReason(process.pid, undefined, context())).toBe('refusing to kill port-client itself');
+    expect(getExclusionReason(500, undefined, context())).toBe('refusing to kill a parent of port-client');
+  });
+
+  test('should apply the built-in and configured deny-lists', () => {
+    expect(getExclusionReason(10, info(10, 'sshd'), context())).toBe('sshd is a protected process');
+    expect(getExclusionReason(10, info(10, 'postgres'), context({ allow: ['postgres'] }))).toBeNull();
+    expect(getExclusionReason(10, info(10, 'nginx'), context({ protect: ['nginx'] }))).toBe('nginx is a protected process');
+    expect(getExclusionReason(10, info(10, 'node'), context({ protect: ['10'] }))).toBe('PID 10 is protected');
+    expect(getExclusionReason(10, info(10, 'svchost.exe'), context())).toBe('svchost.exe is a protected process');
+  });
+
+  test('should refuse processes owned by other users unless forced', () => {
+    expect(getExclusionReason(10, info(10, 'node', 'bob'), context())).toBe('owned by bob (use --force-other-users to kill it)');
+    expect(getExclusionReason(10, info(10, 'node', 'bob'), context({ forceOtherUsers: true }))).toBeNull();
+    expect(getExclusionReason(10, info(10, 'node.exe', 'PC\\Alice'), context())).toBeNull();
+  });
+
+  test('should compare owners by uid when ps shortened the user name', () => {
+    const withUid = (pid, user, uid) => ({ ...info(pid, 'node', user), uid });
+
+    expect(getExclusionReason(10, withUid(10, 'alexand+', 1000), context({ user: 'alexandra', uid: 1000 }))).toBeNull();
+    expect(getExclusionReason(10, withUid(10, 'alexandra', 1001), context({ user: 'alexandra', uid: 1000 })))
+      .toBe('owned by alexandra (use --force-other-users to kill it)');
+  });
+
+  test('should refuse processes that could not be identified unless forced', () => {
+    expect(getExclusionReason(10, undefined, context())).toBe('could not be identified (use --force to kill it)');
+    expect(getExclusionReason(10, undefined, context({ force: true }))).toBeNull();
+    expect(getExclusionReason(1, undefined, context({ force: true }))).toBe('PID 1 is protected');
+  });
+
+  test('should split PIDs into allowed and excluded', () => {
+    const processes = [info(10, 'node'), info(11, 'sshd')];
+    expect(partitionPids([10, 11], processes, context())).toEqual({
+      allowed: [10],
+      excluded: [{ pid: 11, name: 'sshd', reason: 'sshd is a protected process' }],
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// sockets.test.js
+const { parseLsofSockets, parseNetstatSockets, matchesSocket, holdsPort, summarizeConnections } = require('../dist/sockets.js');
+
+describe('Socket parsing', () => {
+  test('should parse lsof socket lines', () => {
+    const stdout = [
+      'COMMAND   PID  USER   FD   TYPE DEVICE SIZE/OFF NODE NAME',
+      'node     1234 alice   20u  IPv6  12345      0t0  TCP *:3000 (LISTEN)',
+      'curl     5678 alice    5u  IPv4  12346      0t0  TCP 127.0.0.1:51000->127.0.0.1:3000 (ESTABLISHED)',
+    ].join('\n');
+
+    expect(parseLsofSockets(stdout)).toEqual([
+      { protocol: 'tcp', family: 'IPv6', localAddress: '*', localPort: 3000, remoteAddress: null, state: 'LISTEN', pid: 1234, command: 'node', user: 'alice' },
+      { protocol: 'tcp', family: 'IPv4', localAddress: '127.0.0.1', localPort: 51000, remoteAddress: '127.0.0.1:3000', state: 'ESTABLISHED', pid: 5678, command: 'curl', user: 'alice' },
+    ]);
+  });
+
+  test('should parse Windows netstat lines and normalize states', () => {
+    const stdout = [
+      '  TCP    0.0.0.0:3000     0.0.0.0:0      LISTENING       4242',
+      '  UDP    [::]:5353        *:*                            999',
+    ].join('\r\n');
+
+    expect(parseNetstatSockets(stdout)).toMatchObject([
+      { protocol: 'tcp', family: 'IPv4', localPort: 3000, state: 'LISTEN', pid: 4242 },
+      { protocol: 'udp', family: 'IPv6', localAddress: '[::]', localPort: 5353, state: null, remoteAddress: null, pid: 999 },
+    ]);
+  });
+
+  test('should parse Linux and macOS netstat lines', () => {
+    const linux = [
+      'tcp        0      0 127.0.0.1:8080          0.0.0.0:*               LISTEN',
+      'tcp6       0      0 ::1:8080                :::*                    LISTEN',
+      'udp        0      0 0.0.0.0:5353            0.0.0.0:*',
+    ].join('\n');
+    const withOwners = [
+      'tcp        0      0 127.0.0.1:8080          0.0.0.0:*               LISTEN      123/node',
+      'tcp        0      0 0.0.0.0:22              0.0.0.0:*               LISTEN      -',
+      'udp        0      0 0.0.0.0:5353            0.0.0.0:*                           456/avahi-daemon',
+    ].join('\n');
+    const mac = [
+      'tcp4       0      0  *.8080                 *.*                    LISTEN',
+      'tcp6       0      0  ::1.8080               *.*                    LISTEN',
+    ].join('\n');
+
+    expect(parseNetstatSockets(linux)).toMatchObject([
+      { protocol: 'tcp', family: 'IPv4', localAddress: '127.0.0.1', localPort: 8080, state: 'LISTEN', pid: null },
+      { protocol: 'tcp', family: 'IPv6', localAddress: '::1', localPort: 8080, state: 'LISTEN' },
+      { protocol: 'udp', family: 'IPv4', localAddress: '0.0.0.0', localPort: 5353, state: null },
+    ]);
+    expect(parseNetstatSockets(withOwners)).toMatchObject([
+      { protocol: 'tcp', localPort: 8080, state: 'LISTEN', pid: 123, command: 'node' },
+      { protocol: 'tcp', localPort: 22, state: 'LISTEN', pid: null, command: null },
+      { protocol: 'udp', localPort: 5353, state: null, pid: 456, command: 'avahi-daemon' },
+    ]);
+    expect(parseNetstatSockets(mac)).toMatchObject([
+      { protocol: 'tcp', family: 'IPv4', localAddress: '*', localPort: 8080 },
+      { protocol: 'tcp', family: 'IPv6', localAddress: '::1', localPort: 8080 },
+    ]);
+  });
+});
+
+describe('Socket matching', () => {
+  const socket = (localAddress, family = 'IPv4', fields = {}) => ({
+    protocol: 'tcp', family, localAddress, localPort: 8080, remoteAddress: null, state: 'LISTEN', pid: 1, command: null, user: null, ...fields,
+  });
+
+  test('should match protocol and local port exactly', () => {
+    expect(matchesSocket(socket('*'), { port: 8080, protocol: 'tcp' })).toBe(true);
+    expect(matchesSocket(socket('*'), { port: 8080, protocol: 'udp' })).toBe(false);
+    expect(matchesSocket(socket('*', 'IPv4', { localPort: 51000 }), { port: 8080, protocol: 'tcp' })).toBe(false);
+  });
+
+  test('should distinguish IPv4 from IPv6', () => {
+    expect(matchesSocket(socket('::1', 'IPv6'), { port: 8080, protocol: 'tcp', family: 6 })).toBe(true);
+    expect(matchesSocket(socket('::1', 'IPv6'), { port: 8080, protocol: 'tcp', family: 4 })).toBe(false);
+  });
+
+  test('should only match the requested bind address', () => {
+    const match = { port: 8080, protocol: 'tcp', host: '127.0.0.1' };
+    expect(matchesSocket(socket('127.0.0.1'), match)).toBe(true);
+    expect(matchesSocket(socket('*'), match)).toBe(false);
+    expect(matchesSocket(socket('[::1]', 'IPv6'), match)).toBe(false);
+    expect(matchesSocket(socket('*'), { ...match, host: '0.0.0.0' })).toBe(true);
+    expect(matchesSocket(socket('[::1]', 'IPv6'), { ...match, host: '::1' })).toBe(true);
+    expect(matchesSocket(socket('[::1]', 'IPv6'), { ...match, host: 'localhost' })).toBe(true);
+  });
+
+  test('should not count TIME_WAIT connections as holding the port', () => {
+    const match = { port: 8080, protocol: 'tcp' };
+    expect(holdsPort(socket('127.0.0.1', 'IPv4', { state: 'TIME_WAIT', pid: null }), match)).toBe(false);
+    expect(holdsPort(socket('127.0.0.1', 'IPv4', { state: 'CLOSE_WAIT' }), match)).toBe(true);
+  });
+
+  test('should separate the listener, accepted connections and local clients', () => {
+    const sockets = [
+      socket('*'),
+      socket('127.0.0.1', 'IPv4', { state: 'ESTABLISHED', remoteAddress: '127.0.0.1:51000' }),
+      socket('127.0.0.1', 'IPv4', { state: 'TIME_WAIT', remoteAddress: '127.0.0.1:51001', pid: null }),
+      socket('127.0.0.1', 'IPv4', { localPort: 51000, state: 'ESTABLISHED', remoteAddress: '127.0.0.1:8080', pid: 2 }),
+      socket('127.0.0.1', 'IPv4', { localPort: 51001, state: 'ESTABLISHED', remoteAddress: '127.0.0.1:9090', pid: 3 }),
+      socket('10.0.0.5', 'IPv4', { localPort: 52000, state: 'ESTABLISHED', remoteAddress: '10.0.0.9:8080', pid: 4 }),
+    ];
+
+    expect(summarizeConnections(sockets, { port: 8080, protocol: 'tcp' })).toEqual({
+      listeners: [1],
+      clients: [2],
+      states: { LISTEN: 1, ESTABLISHED: 1, TIME_WAIT: 1 },
+    });
+  });
+
+  test('should find local IPv4 clients of a dual-stack listener', () => {
+    const sockets = [
+      socket('*', 'IPv6'),
+      socket('::ffff:127.0.0.1', 'IPv6', { state: 'ESTABLISHED', remoteAddress: '[::ffff:127.0.0.1]:51000' }),
+      socket('::ffff:127.0.0.1', 'IPv6', { state: 'ESTABLISHED', remoteAddress: '::ffff:127.0.0.1:51002' }),
+      socket('127.0.0.1', 'IPv4', { localPort: 51000, state: 'ESTABLISHED', remoteAddress: '127.0.0.1:8080', pid: 2 }),
+      socket('127.0.0.1', 'IPv4', { localPort: 51002, state: 'ESTABLISHED', remoteAddress: '127.0.0.1:8080', pid: 3 }),
+    ];
+
+    expect(summarizeConnections(sockets, { port: 8080, protocol: 'tcp' })).toEqual({
+      listeners: [1],
+      clients: [2, 3],
+      states: { LISTEN: 1, ESTABLISHED: 2 },
+    });
+    expect(matchesSocket(sockets[1], { port: 8080, protocol: 'tcp', host: '127.0.0.1' })).toBe(true);
+  });
+});
@@ -0,0 +1,105 @@
+// testHelpers.test.js
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { execCommand } = require('../dist/exec.js');
+const { freePortsSetup, withFreePort, trackListeners, failOnLeakedListeners, LeakedListenerError } = require('../dist/test-helpers.js');
+const { tryBind } = require('../dist/free-port.js');
+const { InvalidInputError } = require('../dist/errors.js');
+
+jest.mock('../dist/exec.js');
+
+const listen = (server, port = 0) => new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+describe('Test runner helpers', () => {
+  let listeners;
+  let killed;
+  let killSpy;
+
+  beforeEach(() => {
+    listeners = [];
+    killed = [];
+    execCommand.mockImplementation(async (file, args) => {
+      const command = [file, ...args].join(' ');
+      const stdout = command.startsWith('lsof -i tcp')
+        ? listeners.filter(([pid]) => !killed.includes(pid))
+          .map(([pid, port]) => `node ${pid} user 20u IPv4 0x1 0t0 TCP 127.0.0.1:${port} (LISTEN)`).join('\n')
+        : '';
+      return { stdout, stderr: '', code: 0 };
+    });
+    killSpy = jest.spyOn(process, 'kill').mockImplementation((pid, signal) => {
+      if (killed.includes(pid)) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      if (signal !== 0) killed.push(pid);
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    killSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  test('should free or assert the ports before the suites run', async () => {
+    listeners = [[123, 4000]];
+    const options = { backend: 'lsof', forceOtherUsers: true, history: false, config: false };
+
+    await expect(freePortsSetup([4000, 4001], { ...options, assert: true })()).rejects.toThrow('Port already in use before the tests: 4000 (PID 123)');
+    expect(killed).toEqual([]);
+
+    await expect(freePortsSetup('4000-4001', options)()).resolves.toBeUndefined();
+    expect(killed).toEqual([123]);
+    await expect(freePortsSetup(null, options)()).rejects.toThrow(InvalidInputError);
+  });
+
+  test('should lend a free port for the duration of a callback', async () => {
+    const leaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-client-leases-'));
+
+    const port = await withFreePort(async (free) => {
+      expect(fs.existsSync(path.join(leaseDir, `${free}.json`))).toBe(true);
+      await expect(tryBind(free, '127.0.0.1')).resolves.toBe(true);
+      return free;
+    }, { range: '40000-40100', leaseDir });
+
+    expect(port).toBeGreaterThanOrEqual(40000);
+    expect(fs.readdirSync(leaseDir)).toEqual([]);
+    fs.rmSync(leaseDir, { recursive: true, force: true });
+  });
+
+  test('should report listeners left bound with the stack that opened them', async () => {
+    listeners = [[process.pid, 9229]];
+    const { listen: originalListen } = net.Server.prototype;
+    const tracker = trackListeners({ backend: 'lsof', grace: 0 });
+    await tracker.start();
+
+    const server = net.createServer();
+    await listen(server);
+    const { port } = server.address();
+    listeners.push([process.pid, port]);
+
+    const [leak, ...others] = await tracker.stop();
+    expect(others).toEqual([]);
+    expect(leak).toMatchObject({ port, protocol: 'tcp', pids: [process.pid] });
+    expect(leak.stack).toContain('testHelpers.test.js');
+    expect(leak.stack).not.toContain('test-helpers.js');
+    expect(net.Server.prototype.listen).toBe(originalListen);
+
+    await close(server);
+    listeners.pop();
+    await tracker.start();
+    listeners.push([process.pid, port + 1]);
+    const error = await tracker.assertNoLeaks().catch((caught) => caught);
+    expect(error).toBeInstanceOf(LeakedListenerError);
+    expect(error.message).toBe(`1 listener(s) still bound after the tests:\n  tcp/${port + 1} held by PID ${process.pid}`);
+  });
+
+  test('should register the check on the test runner hooks', async () => {
+    const hooks = { beforeAll: jest.fn(), afterAll: jest.fn() };
+
+    failOnLeakedListeners({ hooks, backend: 'lsof', grace: 0 });
+    await hooks.beforeAll.mock.calls[0][0]();
+    await expect(hooks.afterAll.mock.calls[0][0]()).resolves.toBeUndefined();
+    expect(() => failOnLeakedListeners({ hooks: {} })).toThrow(InvalidInputError);
+  });
+});
@@ -0,0 +1,78 @@
+// tui.test.js
+const { createTuiState, filterRows, handleKey, renderTui, targetPorts, updateRows } = require('../dist/tui.js');
+
+const row = (port, fields = {}) => ({
+  port, protocol: 'tcp', address: '*', pids: [port * 10], user: 'alice', name: 'node', command: `node server-${port}.js`, connections: 0, ...fields,
+});
+
+const press = (state, ...keys) => keys.reduce((current, key) => (typeof key === 'string'
+  ? handleKey(current, key, { name: key === ' ' ? 'space' : key })
+  : handleKey(current, undefined, key)), state);
+
+describe('Interactive port manager', () => {
+  const rows = [row(3000), row(5173, { name: 'vite', command: 'vite --port 5173' }), row(8080, { user: 'bob' })];
+
+  test('should search across port, process and command', () => {
+    expect(filterRows(rows, 'vite').map((entry) => entry.port)).toEqual([5173]);
+    expect(filterRows(rows, 'BOB').map((entry) => entry.port)).toEqual([8080]);
+    expect(filterRows(rows, '300').map((entry) => entry.port)).toEqual([3000]);
+  });
+
+  test('should move, multi-select and confirm a kill', () => {
+    let state = updateRows(createTuiState(), rows);
+
+    state = press(state, { name: 'down' }, ' ', ' ');
+    expect(state.selected).toEqual([5173, 8080]);
+
+    state = press(state, { name: 'return' });
+    expect(state.confirm).toBe('kill');
+    expect(renderTui(state)).toContain('Kill port(s) 5173, 8080 with SIGKILL? [y/N]');
+
+    state = press(state, 'y');
+    expect(state).toMatchObject({ done: true, choice: { mode: 'kill', ports: [5173, 8080] } });
+  });
+
+  test('should use the row under the cursor for a graceful kill and cancel on any other key', () => {
+    let state = press(updateRows(createTuiState(), rows), 'v', 'i', { name: 'ctrl-t', ctrl: true });
+    expect(state.confirm).toBeNull();
+
+    state = press(state, { name: 't', ctrl: true });
+    expect(state.confirm).toBe('graceful');
+    expect(targetPorts(state)).toEqual([5173]);
+
+    state = press(state, 'n');
+    expect(state).toMatchObject({ confirm: null, done: false, query: 'vi' });
+  });
+
+  test('should toggle all visible rows and clear the search before quitting', () => {
+    let state = press(updateRows(createTuiState(), rows), { name: 'a', ctrl: true });
+    expect(state.selected).toEqual([3000, 5173, 8080]);
+
+    state = press(state, { name: 'a', ctrl: true }, '8', { name: 'escape' });
+    expect(state).toMatchObject({ selected: [], query: '', done: false });
+
+    state = press(state, { name: 'escape' });
+    expect(state).toMatchObject({ done: true, choice: null });
+  });
+
+  test('should keep the cursor on the same port when the table refreshes', () => {
+    let state = press(updateRows(createTuiState(), rows), { name: 'down' }, { name: 'down' }, ' ');
+    expect(state.selected).toEqual([8080]);
+
+    state = updateRows(state, [row(1234), ...rows]);
+    expect(filterRows(state.rows, state.query)[state.cursor].port).toBe(8080);
+
+    state = updateRows(state, [row(3000)]);
+    expect(state).toMatchObject({ cursor: 0, selected: [] });
+  });
+
+  test('should render a deduplicated table within the terminal size', () => {
+    const screen = renderTui(updateRows(createTuiState(), rows), { columns: 40, rows: 6 }).split('\n');
+
+    expect(screen).toHaveLength(6);
+    expect(screen[0]).toBe('port-client: 3/3 listening tcp port(s)');
+    expect(screen[1]).toMatch(/^\s+PORT\s+ADDRESS\s+PID\s+CONN\s+USER/);
+    expect(screen[2]).toContain('\x1b[7m');
+    expect(screen.every((line) => line.replace(/\x1b\[\d+m/g, '').length <= 40)).toBe(true);
+  });
+});
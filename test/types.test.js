@@ -0,0 +1,17 @@
+// types.test.js
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+describe('Type declarations', () => {
+  test('should type-check ES module and CommonJS consumers of the package', () => {
+    // Both consumers import 'port-client' by name, so they resolve through package.json "exports" to dist/.
+    const tsc = require.resolve('typescript/bin/tsc');
+    let diagnostics = '';
+    try {
+      execFileSync(process.execPath, [tsc, '-p', path.join(__dirname, 'types')], { encoding: 'utf8' });
+    } catch (error) {
+      diagnostics = error.stdout || error.message;
+    }
+    expect(diagnostics).toBe('');
+  }, 60000);
+});
@@ -0,0 +1,11 @@
+// Type-checked against the shipped declarations by types.test.js, as a CommonJS consumer would.
+import port = require('port-client');
+import helpers = require('port-client/test');
+
+const options: port.PortClientOptions = { action: 'check', reporter: false };
+const results: Promise<port.PortResult[]> = port.runPortClient(3000, options);
+const client: port.PortClient = new port.PortClient(3000, options);
+const single: Promise<port.PortResult> = port.checkPort(3000);
+const free: Promise<number> = helpers.withFreePort((value) => value);
+
+export { results, client, single, free };
@@ -0,0 +1,12 @@
+// Type-checked against the shipped declarations by types.test.js, as an ES module consumer would.
+import runPortClient, { runPortClient as named, PortClient, checkPort, type PortResult, type PortClientOptions } from 'port-client';
+import { withFreePort } from 'port-client/test';
+
+const options: PortClientOptions = { action: 'check', reporter: false };
+const results: Promise<PortResult[]> = runPortClient(3000, options);
+const same: typeof named = runPortClient;
+const client: PortClient = new PortClient(3000, options);
+const single: Promise<PortResult> = checkPort(3000);
+const port: Promise<number> = withFreePort((free) => free);
+
+export { results, same, client, single, port };
@@ -0,0 +1,59 @@
+// wait.test.js
+const net = require('net');
+const { waitForState, canConnect } = require('../dist/wait.js');
+const { parseDuration } = require('../dist/utils.js');
+
+describe('Waiting for ports', () => {
+  test('should parse durations', () => {
+    expect(parseDuration('10s')).toBe(10000);
+    expect(parseDuration('250ms')).toBe(250);
+    expect(parseDuration('1.5m')).toBe(90000);
+    expect(parseDuration(300)).toBe(300);
+    expect(() => parseDuration('soon')).toThrow('Invalid duration: soon');
+  });
+
+  test('should resolve once the port reaches the expected state', async () => {
+    const states = [true, true, false];
+    const client = { checkPortStatus: jest.fn(async () => states.shift()) };
+
+    await waitForState(client, 3000, false, { timeout: 1000, interval: 1 });
+
+    expect(client.checkPortStatus).toHaveBeenCalledTimes(3);
+  });
+
+  test('should reject on timeout', async () => {
+    const client = { checkPortStatus: jest.fn(async () => false) };
+
+    await expect(waitForState(client, 3000, true, { timeout: 20, interval: 5 }))
+      .rejects.toThrow('Timed out after 20ms waiting for port 3000 to be bound');
+  });
+
+  test('should keep polling when the port cannot be looked up', async () => {
+    const failing = { checkPortStatus: jest.fn(async () => { throw new Error('lsof is not installed'); }) };
+
+    await expect(waitForState(failing, 3000, false, { timeout: 20, interval: 5 }))
+      .rejects.toThrow('Timed out after 20ms waiting for port 3000 to be free (lsof is not installed)');
+    expect(failing.checkPortStatus.mock.calls.length).toBeGreaterThan(1);
+
+    const flaky = [new Error('busy'), false];
+    const client = {
+      checkPortStatus: jest.fn(async () => {
+        const next = flaky.shift();
+        if (next instanceof Error) throw next;
+        return next;
+      }),
+    };
+    await waitForState(client, 3000, false, { timeout: 1000, interval: 1 });
+    expect(client.checkPortStatus).toHaveBeenCalledTimes(2);
+  });
+
+  test('should detect listeners on a host by connecting', async () => {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    const { port } = server.address();
+
+    await expect(canConnect(port, '127.0.0.1')).resolves.toBe(true);
+    await new Promise((resolve) => server.close(resolve));
+    await expect(canConnect(port, '127.0.0.1')).resolves.toBe(false);
+  });
+});
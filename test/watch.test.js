@@ -0,0 +1,71 @@
+// watch.test.js
+const { PortWatcher } = require('../dist/watch.js');
+
+const createClient = (owners) => ({
+  method: 'tcp',
+  findPids: jest.fn(async (port) => owners[port] || []),
+  getProcessDetails: jest.fn(async (pids) => pids.map((pid) => ({ pid, name: 'node' }))),
+  killPorts: jest.fn(async ([port]) => [{ port, status: 'killed', pids: owners[port] }]),
+});
+
+describe('PortWatcher', () => {
+  test('should emit bound, owner-changed and released events', async () => {
+    const owners = { 3000: [10] };
+    const watcher = new PortWatcher(createClient(owners), [3000]);
+    const events = [];
+    watcher.on('change', (event) => events.push([event.type, event.pids, event.previousPids]));
+
+    await watcher.poll();
+    owners[3000] = [11];
+    await watcher.poll();
+    await watcher.poll();
+    owners[3000] = [];
+    await watcher.poll();
+
+    expect(events).toEqual([
+      ['bound', [10], []],
+      ['owner-changed', [11], [10]],
+      ['released', [], [11]],
+    ]);
+  });
+
+  test('should kill processes binding a reserved port', async () => {
+    const client = createClient({ 3000: [10], 3001: [20] });
+    const watcher = new PortWatcher(client, [3000, 3001], { reserved: [3001] });
+    const killed = jest.fn();
+    watcher.on('killed', killed);
+
+    await watcher.poll();
+
+    expect(client.killPorts).toHaveBeenCalledWith([3001], { confirm: false });
+    expect(killed).toHaveBeenCalledWith({ port: 3001, status: 'killed', pids: [20] });
+  });
+
+  test('should yield events through the async iterator until stopped', async () => {
+    const watcher = new PortWatcher(createClient({ 3000: [10] }), [3000], { interval: 10 });
+    const seen = [];
+
+    for await (const event of watcher) {
+      seen.push(event.type);
+      watcher.stop();
+    }
+
+    expect(seen).toEqual(['bound']);
+  });
+
+  test('should keep polling when discovery fails and nothing listens for errors', async () => {
+    const client = createClient({});
+    client.findPids.mockRejectedValue(new Error('No discovery backend available'));
+    const watcher = new PortWatcher(client, [3000], { interval: 10 });
+
+    watcher.start();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const errors = [];
+    watcher.on('error', (error) => errors.push(error.message));
+    await watcher.tick();
+    watcher.stop();
+
+    expect(client.findPids.mock.calls.length).toBeGreaterThan(2);
+    expect(errors).toContain('Failed to watch port 3000: No discovery backend available');
+  });
+});